@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Menu import/export from the command line:
+//   node scripts/menu.js export [--format csv] [--out menu.json]
+//   node scripts/menu.js import menu.json            (dry run: prints what would change)
+//   node scripts/menu.js import menu.csv --apply     (applies the changes)
+import { promises as fs } from 'fs';
+import { exportMenu, importMenu, menuToCsv, csvToMenu } from '../src/services/menuTransfer.js';
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+}
+
+function printPlan(plan) {
+  plan.changes.forEach(change => {
+    const fields = change.changes ? ` (${Object.keys(change.changes).join(', ')})` : '';
+    console.log(`  ${change.action.padEnd(6)} ${change.type.padEnd(11)} ${change.key}${fields}`);
+  });
+  const { create, update, delete: remove } = plan.summary;
+  console.log(`${create} to create, ${update} to update, ${remove} to delete`);
+}
+
+async function runExport(args) {
+  const format = option(args, '--format') || 'json';
+  const out = option(args, '--out');
+  const menu = await exportMenu();
+  const text = format === 'csv' ? menuToCsv(menu) : JSON.stringify(menu, null, 2) + '\n';
+
+  if (out) {
+    await fs.writeFile(out, text);
+    console.log(`Menu exported to ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+async function runImport(args) {
+  const file = args[0];
+  if (!file) {
+    console.error('Usage: node scripts/menu.js import <file.json|file.csv> [--apply]');
+    process.exit(1);
+  }
+
+  const text = await fs.readFile(file, 'utf8');
+  const doc = file.endsWith('.csv') ? csvToMenu(text) : JSON.parse(text);
+
+  const dryRun = await importMenu(doc);
+  if (dryRun.invalid) {
+    console.error(dryRun.invalid);
+    dryRun.errors.forEach(error => console.error(`  ${error}`));
+    process.exit(1);
+  }
+
+  printPlan(dryRun.plan);
+  if (!args.includes('--apply')) {
+    console.log('Dry run only; run again with --apply to make these changes.');
+    return;
+  }
+  if (dryRun.plan.changes.length === 0) return;
+
+  const result = await importMenu(doc, { apply: true, planId: dryRun.plan.planId });
+  if (result.stale) {
+    console.error('The menu changed while importing; nothing was applied. Run the import again.');
+    process.exit(1);
+  }
+  console.log('Menu import applied.');
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'export') {
+      await runExport(args);
+    } else if (command === 'import') {
+      await runImport(args);
+    } else {
+      console.error('Usage: node scripts/menu.js <export|import> ...');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('Menu command failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
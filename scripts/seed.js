@@ -491,17 +491,20 @@ async function seedData() {
       },
       delivery_distance_rules: {
         unit: "mile",
+        // Below spend_threshold the fee_if_subtotal_lt fee applies; amounts in pounds
         bands: [
-          { max_distance: 1.0, fee_if_subtotal_gte: 0, fee_if_subtotal_lt: 1 },
-          { max_distance: 2.0, fee_if_subtotal_gte: 1, fee_if_subtotal_lt: 2 },
-          { max_distance: 3.0, fee_if_subtotal_gte: 2, fee_if_subtotal_lt: 3 }
+          { max_distance: 1.0, spend_threshold: 15, fee_if_subtotal_gte: 0, fee_if_subtotal_lt: 1, min_order: 10 },
+          { max_distance: 2.0, spend_threshold: 15, fee_if_subtotal_gte: 1, fee_if_subtotal_lt: 2, min_order: 10 },
+          { max_distance: 3.0, spend_threshold: 15, fee_if_subtotal_gte: 2, fee_if_subtotal_lt: 3, min_order: 12, free_delivery_above: 30 }
         ],
+        per_mile_beyond_last_band: null, // e.g. 0.5 (with a larger no_service_beyond) to go past 3 miles at £0.50 a mile more
         no_service_beyond: 3.0
       },
       collection_lead_time_minutes: 15,
       collection_buffer_before_close_minutes: 15,
       delivery_lead_time_minutes: 45,
-      delivery_buffer_before_close_minutes: 15
+      delivery_buffer_before_close_minutes: 15,
+      notify_on_statuses: ['confirmed', 'ready', 'out_for_delivery', 'cancelled']
     };
 
     const { error: storeError } = await supabase
@@ -555,6 +558,28 @@ async function seedData() {
     if (discountError) throw discountError;
     console.log('Discount rules inserted successfully.');
 
+    // Insert promo codes
+    console.log('Inserting promo codes...');
+    const promoCodes = [
+      {
+        code: 'WELCOME10',
+        description: '10% off your first order',
+        type: 'percentage',
+        discount_value: 10.0,
+        min_spend_pence: 1000,
+        max_per_customer: 1,
+        first_order_only: true,
+        is_active: true
+      }
+    ];
+
+    const { error: promoError } = await supabase
+      .from('promo_codes')
+      .upsert(promoCodes, { onConflict: 'code' });
+    
+    if (promoError) throw promoError;
+    console.log('Promo codes inserted successfully.');
+
     // Insert opening hours
     console.log('Inserting opening hours...');
     const openingHours = [
@@ -574,13 +599,11 @@ async function seedData() {
     if (hoursError) throw hoursError;
     console.log('Opening hours inserted successfully.');
 
-    // Insert holidays with different time slots
+    // Insert closures and special hours (no times = closed all day)
     console.log('Inserting holidays...');
     const holidays = [
       {
-        holiday_date: '2025-08-24',
-        start_time: '00:01',
-        end_time: '23:59'
+        holiday_date: '2025-08-24'
       },
       {
         holiday_date: '2025-08-26',
@@ -588,9 +611,23 @@ async function seedData() {
         end_time: '22:00'
       },
       {
-        holiday_date: '2025-09-01',
-        start_time: '00:01',
-        end_time: '23:59'
+        holiday_date: '2025-09-01'
+      },
+      {
+        kind: 'special_hours',
+        name: 'Christmas Eve',
+        holiday_date: '2025-12-24',
+        start_time: '12:00',
+        end_time: '18:00',
+        recurs_annually: true,
+        message: 'Open 12:00-18:00 on Christmas Eve'
+      },
+      {
+        name: 'Christmas',
+        holiday_date: '2025-12-25',
+        end_date: '2025-12-26',
+        recurs_annually: true,
+        message: 'Closed for Christmas, back on 27 December'
       }
     ];
 
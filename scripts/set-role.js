@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+// Set a user's role, e.g. to create the first owner:
+//   node scripts/set-role.js owner@example.com owner
+import { supabase } from '../src/lib/supabase.js';
+import { ROLES } from '../src/lib/auth.js';
+
+async function setRole() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set-role.js <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ role, updated_at: new Date().toISOString() })
+    .eq('email', email.toLowerCase().trim())
+    .select('id, email, role');
+
+  if (error) {
+    console.error('Failed to set role:', error);
+    process.exit(1);
+  }
+
+  if (!data || data.length === 0) {
+    console.error(`No user found with email ${email}`);
+    process.exit(1);
+  }
+
+  console.log(`${data[0].email} is now ${data[0].role}`);
+}
+
+setRole();
@@ -10,13 +10,32 @@ CREATE TABLE IF NOT EXISTS store_config (
   location_lng DECIMAL(11,8),
   address TEXT,
   postcode TEXT,
-  delivery_active_rule_type TEXT DEFAULT 'postcode' CHECK (delivery_active_rule_type IN ('postcode', 'distance')),
+  delivery_active_rule_type TEXT DEFAULT 'postcode' CHECK (delivery_active_rule_type IN ('postcode', 'distance', 'polygon')),
   delivery_postcode_rules JSONB,
   delivery_distance_rules JSONB,
+  delivery_polygon_rules JSONB, -- { zones: [{ name, geometry (GeoJSON), radius_miles, fee, min_order, extra_lead_time_minutes }] }
+  maps_provider TEXT CHECK (maps_provider IN ('mapbox', 'osrm', 'offline')), -- NULL = MAPS_PROVIDER env
+  maps_fallback_provider TEXT CHECK (maps_fallback_provider IN ('mapbox', 'osrm', 'offline')), -- NULL = MAPS_FALLBACK_PROVIDER env
+  maps_road_factor NUMERIC(4,2) DEFAULT 1.3, -- offline provider: straight-line miles × this
   collection_lead_time_minutes INTEGER DEFAULT 15,
   collection_buffer_before_close_minutes INTEGER DEFAULT 15,
   delivery_lead_time_minutes INTEGER DEFAULT 45,
   delivery_buffer_before_close_minutes INTEGER DEFAULT 15,
+  collection_slot_interval_minutes INTEGER DEFAULT 15,
+  delivery_slot_interval_minutes INTEGER DEFAULT 15,
+  collection_slot_max_orders INTEGER, -- per-slot limits, NULL = unlimited
+  collection_slot_max_items INTEGER,
+  delivery_slot_max_orders INTEGER,
+  delivery_slot_max_items INTEGER,
+  preorder_horizon_days INTEGER DEFAULT 7, -- how many days ahead customers can order
+  preorder_release_minutes INTEGER DEFAULT 60, -- pre-orders reach the kitchen queue this long before they are due
+  brand_logo_url TEXT,
+  brand_primary_color TEXT DEFAULT '#dc2626',
+  email_from_name TEXT, -- defaults to the store name
+  email_from_address TEXT DEFAULT 'orders@ringorderai.com',
+  default_language TEXT DEFAULT 'en',
+  notify_on_statuses TEXT[] DEFAULT ARRAY['confirmed', 'ready', 'out_for_delivery', 'cancelled'], -- statuses that email the customer
+  stock_reset_time TIME DEFAULT '04:00', -- trading day rollover for sold-out flags and daily stock
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -27,6 +46,7 @@ CREATE TABLE IF NOT EXISTS categories (
   name TEXT NOT NULL,
   description TEXT,
   display_order INTEGER DEFAULT 0,
+  deleted_at TIMESTAMP WITH TIME ZONE, -- soft delete
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -41,6 +61,16 @@ CREATE TABLE IF NOT EXISTS menu_items (
   image_url TEXT,
   is_available BOOLEAN DEFAULT true,
   display_order INTEGER DEFAULT 0,
+  deleted_at TIMESTAMP WITH TIME ZONE, -- soft delete; kept so past order_items still resolve
+  sold_out_until TIMESTAMP WITH TIME ZONE, -- "86": unavailable until the next trading day starts
+  available_days INTEGER[], -- weekdays the item is sold (0=Sunday; NULL = every day)
+  available_from TIME, -- daily window, may run past midnight (NULL = all day)
+  available_until TIME,
+  daily_stock INTEGER, -- units per trading day (NULL = unlimited)
+  allergens TEXT[] DEFAULT '{}', -- UK 14 allergen codes, see src/lib/allergens.js
+  dietary_tags TEXT[] DEFAULT '{}', -- vegetarian, vegan, gluten_free
+  spicy_level INTEGER DEFAULT 0 CHECK (spicy_level BETWEEN 0 AND 3),
+  calories INTEGER,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -62,6 +92,7 @@ CREATE TABLE IF NOT EXISTS menu_option_choices (
   option_id UUID REFERENCES menu_options(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
   price_delta_pence INTEGER DEFAULT 0,
+  allergens TEXT[] DEFAULT '{}', -- allergens this choice adds to the item
   display_order INTEGER DEFAULT 0,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -83,7 +114,12 @@ CREATE TABLE IF NOT EXISTS discount_rules (
   min_amount_pence INTEGER NOT NULL,
   discount_value DECIMAL(10,2), -- percentage or fixed amount
   free_item_name TEXT, -- for free item discounts
+  free_item_id TEXT REFERENCES menu_items(id) ON DELETE SET NULL, -- menu item given away, if it is on the menu
   can_combine BOOLEAN DEFAULT false,
+  applies_to_mode TEXT DEFAULT 'all' CHECK (applies_to_mode IN ('all', 'delivery', 'collection')),
+  category_ids TEXT[], -- only count items in these categories (NULL = whole order)
+  valid_from TIMESTAMP WITH TIME ZONE,
+  valid_until TIMESTAMP WITH TIME ZONE,
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -110,6 +146,7 @@ CREATE TABLE IF NOT EXISTS users (
   address TEXT,
   street_name TEXT,
   city TEXT,
+  role TEXT DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'manager', 'owner')),
   reset_token TEXT,
   reset_token_expires TIMESTAMP WITH TIME ZONE,
   last_login_at TIMESTAMP WITH TIME ZONE,
@@ -120,10 +157,16 @@ CREATE TABLE IF NOT EXISTS users (
 -- Store holidays table
 CREATE TABLE IF NOT EXISTS store_holidays (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  holiday_date DATE NOT NULL,
-  start_time TIME DEFAULT '00:01',
-  end_time TIME DEFAULT '23:59',
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  kind TEXT NOT NULL DEFAULT 'closed' CHECK (kind IN ('closed', 'special_hours')), -- special_hours replace the normal day
+  name TEXT, -- e.g. 'Christmas Eve'
+  holiday_date DATE NOT NULL, -- first day
+  end_date DATE, -- last day of a multi-day range, NULL = one day
+  start_time TIME, -- closed: window to close (NULL = all day); special_hours: opening time
+  end_time TIME, -- closed: end of window (inclusive); special_hours: closing time (may be past midnight)
+  recurs_annually BOOLEAN DEFAULT false, -- repeats on the same dates every year
+  message TEXT, -- shown to customers
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Orders table
@@ -134,6 +177,7 @@ CREATE TABLE IF NOT EXISTS orders (
   first_name TEXT NOT NULL,
   last_name TEXT,
   contact_email TEXT NOT NULL,
+  contact_email_lower TEXT GENERATED ALWAYS AS (lower(trim(contact_email))) STORED, -- exact, case-insensitive lookups
   contact_phone TEXT NOT NULL,
   postcode TEXT,
   address TEXT,
@@ -143,10 +187,21 @@ CREATE TABLE IF NOT EXISTS orders (
   subtotal_pence INTEGER NOT NULL,
   delivery_fee_pence INTEGER DEFAULT 0,
   discount_pence INTEGER DEFAULT 0,
+  promo_code TEXT,
+  promo_discount_pence INTEGER DEFAULT 0,
   total_pence INTEGER NOT NULL,
   payment_method TEXT DEFAULT 'card' CHECK (payment_method IN ('cash', 'card')),
-  status TEXT DEFAULT 'processing' CHECK (status IN ('processing', 'pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled', 'complete')),
+  status TEXT DEFAULT 'processing' CHECK (status IN ('processing', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'complete')),
   comment TEXT,
+  language TEXT, -- language for customer emails (NULL = store default)
+  notifications_sent JSONB DEFAULT '[]', -- customer notifications sent for status changes
+  stock_reservation JSONB, -- daily stock taken at checkout: { businessDate, items: [{ itemId, qty }] }
+  requested_time TIMESTAMP WITH TIME ZONE, -- when the customer wants the order, NULL = as soon as possible
+  slot_reservation JSONB, -- slot booked at checkout: { storeId, mode, slotStart, items }
+  holds_released_at TIMESTAMP WITH TIME ZONE, -- cancelled orders: when promo, stock and slot were all given back
+  delivery_engine TEXT, -- delivery rule engine that priced the order: 'postcode', 'distance' or 'polygon'
+  delivery_zone TEXT, -- matched postcode prefix, distance band or zone name
+  delivery_distance_miles DECIMAL(6,2), -- driving distance (distance engine only)
   time_placed TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -165,6 +220,144 @@ CREATE TABLE IF NOT EXISTS order_items (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Order status history (one row per status change)
+CREATE TABLE IF NOT EXISTS order_status_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  order_id TEXT REFERENCES orders(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  actor TEXT NOT NULL, -- 'customer', 'system', or the staff member's email
+  actor_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Email outbox (queued emails sent by the background worker)
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  kind TEXT NOT NULL, -- 'order_confirmation', 'password_reset', 'order_update'
+  from_address TEXT NOT NULL,
+  to_address TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  html TEXT NOT NULL,
+  text_body TEXT,
+  order_id TEXT REFERENCES orders(id) ON DELETE SET NULL,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'dead')),
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 6,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_error TEXT,
+  provider_message_id TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cached geocodes and driving distances (survive restarts; see src/lib/mapCache.js)
+CREATE TABLE IF NOT EXISTS map_cache (
+  cache_key TEXT PRIMARY KEY, -- 'geocode:<query>' or 'route:<store>:<query>', query normalised
+  kind TEXT NOT NULL CHECK (kind IN ('geocode', 'route')),
+  store_id TEXT REFERENCES store_config(id) ON DELETE CASCADE, -- routes only
+  value JSONB NOT NULL, -- { lat, lng } or { miles }
+  origin_lat DECIMAL(10,8), -- store location a route was measured from
+  origin_lng DECIMAL(11,8),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Email template overrides per store and language (empty parts use the built-in templates)
+CREATE TABLE IF NOT EXISTS email_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  store_id TEXT REFERENCES store_config(id) ON DELETE CASCADE,
+  language TEXT NOT NULL DEFAULT 'en',
+  name TEXT NOT NULL, -- 'layout', 'order_confirmation', 'password_reset', 'order_update'
+  subject TEXT,
+  html_body TEXT,
+  text_body TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (store_id, language, name)
+);
+
+-- Promo codes table (redeemable voucher codes)
+CREATE TABLE IF NOT EXISTS promo_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  code TEXT UNIQUE NOT NULL, -- stored upper case
+  description TEXT,
+  type TEXT NOT NULL CHECK (type IN ('percentage', 'fixed_amount')),
+  discount_value DECIMAL(10,2) NOT NULL, -- percentage or fixed amount in pounds
+  min_spend_pence INTEGER DEFAULT 0,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  max_redemptions INTEGER, -- NULL = unlimited
+  max_per_customer INTEGER DEFAULT 1, -- NULL = unlimited
+  first_order_only BOOLEAN DEFAULT false,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Promo code redemptions (one per order using a code)
+CREATE TABLE IF NOT EXISTS promo_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  promo_code_id UUID REFERENCES promo_codes(id) ON DELETE CASCADE,
+  order_id TEXT REFERENCES orders(id) ON DELETE CASCADE, -- NULL while the checkout is still placing the order
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  customer_email TEXT NOT NULL,
+  amount_pence INTEGER NOT NULL,
+  released_at TIMESTAMP WITH TIME ZONE, -- set when the order is cancelled
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Carts table (persistent shopping carts)
+CREATE TABLE IF NOT EXISTS carts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cart items table
+CREATE TABLE IF NOT EXISTS cart_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  cart_id UUID REFERENCES carts(id) ON DELETE CASCADE,
+  item_id TEXT NOT NULL,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  modifiers JSONB DEFAULT '[]',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Units of limited items sold per trading day
+CREATE TABLE IF NOT EXISTS menu_item_stock (
+  item_id TEXT REFERENCES menu_items(id) ON DELETE CASCADE,
+  business_date DATE NOT NULL,
+  sold INTEGER NOT NULL DEFAULT 0 CHECK (sold >= 0),
+  PRIMARY KEY (item_id, business_date)
+);
+
+-- Orders and items booked into each collection/delivery slot
+CREATE TABLE IF NOT EXISTS slot_bookings (
+  store_id TEXT REFERENCES store_config(id) ON DELETE CASCADE,
+  mode TEXT NOT NULL CHECK (mode IN ('collection', 'delivery')),
+  slot_start TIMESTAMP WITH TIME ZONE NOT NULL,
+  orders INTEGER NOT NULL DEFAULT 0 CHECK (orders >= 0),
+  items INTEGER NOT NULL DEFAULT 0 CHECK (items >= 0),
+  PRIMARY KEY (store_id, mode, slot_start)
+);
+
+-- Slot limits for one trading day, replacing the store_config defaults (quiet or busy nights)
+CREATE TABLE IF NOT EXISTS slot_capacity_overrides (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  store_id TEXT REFERENCES store_config(id) ON DELETE CASCADE,
+  service_date DATE NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('collection', 'delivery')),
+  max_orders INTEGER, -- NULL = unlimited
+  max_items INTEGER,
+  note TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (store_id, service_date, mode)
+);
+
 -- Delivery zones table
 CREATE TABLE IF NOT EXISTS delivery_zones (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -175,16 +368,283 @@ CREATE TABLE IF NOT EXISTS delivery_zones (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Bring databases created from an earlier version of this file up to date:
+-- CREATE TABLE IF NOT EXISTS leaves existing tables alone, so columns and checks
+-- added since are applied here. Every statement is safe to run again.
+ALTER TABLE discount_rules ADD COLUMN IF NOT EXISTS free_item_id TEXT REFERENCES menu_items(id) ON DELETE SET NULL;
+ALTER TABLE discount_rules ADD COLUMN IF NOT EXISTS applies_to_mode TEXT DEFAULT 'all' CHECK (applies_to_mode IN ('all', 'delivery', 'collection'));
+ALTER TABLE discount_rules ADD COLUMN IF NOT EXISTS category_ids TEXT[];
+ALTER TABLE discount_rules ADD COLUMN IF NOT EXISTS valid_from TIMESTAMP WITH TIME ZONE;
+ALTER TABLE discount_rules ADD COLUMN IF NOT EXISTS valid_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_code TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS promo_discount_pence INTEGER DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS contact_email_lower TEXT GENERATED ALWAYS AS (lower(trim(contact_email))) STORED;
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN ('processing', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled', 'complete'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS holds_released_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS notify_on_statuses TEXT[] DEFAULT ARRAY['confirmed', 'ready', 'out_for_delivery', 'cancelled'];
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS notifications_sent JSONB DEFAULT '[]';
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS brand_logo_url TEXT;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS brand_primary_color TEXT DEFAULT '#dc2626';
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS email_from_name TEXT;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS email_from_address TEXT DEFAULT 'orders@ringorderai.com';
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS default_language TEXT DEFAULT 'en';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS language TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role TEXT DEFAULT 'customer' CHECK (role IN ('customer', 'staff', 'manager', 'owner'));
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS stock_reset_time TIME DEFAULT '04:00';
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS sold_out_until TIMESTAMP WITH TIME ZONE;
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS available_days INTEGER[];
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS available_from TIME;
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS available_until TIME;
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS daily_stock INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_reservation JSONB;
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS allergens TEXT[] DEFAULT '{}';
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] DEFAULT '{}';
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS spicy_level INTEGER DEFAULT 0 CHECK (spicy_level BETWEEN 0 AND 3);
+ALTER TABLE menu_items ADD COLUMN IF NOT EXISTS calories INTEGER;
+ALTER TABLE menu_option_choices ADD COLUMN IF NOT EXISTS allergens TEXT[] DEFAULT '{}';
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS collection_slot_interval_minutes INTEGER DEFAULT 15;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS delivery_slot_interval_minutes INTEGER DEFAULT 15;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS collection_slot_max_orders INTEGER;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS collection_slot_max_items INTEGER;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS delivery_slot_max_orders INTEGER;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS delivery_slot_max_items INTEGER;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS slot_reservation JSONB;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS preorder_horizon_days INTEGER DEFAULT 7;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS preorder_release_minutes INTEGER DEFAULT 60;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS requested_time TIMESTAMP WITH TIME ZONE;
+ALTER TABLE store_holidays ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'closed' CHECK (kind IN ('closed', 'special_hours'));
+ALTER TABLE store_holidays ADD COLUMN IF NOT EXISTS name TEXT;
+ALTER TABLE store_holidays ADD COLUMN IF NOT EXISTS end_date DATE;
+ALTER TABLE store_holidays ADD COLUMN IF NOT EXISTS recurs_annually BOOLEAN DEFAULT false;
+ALTER TABLE store_holidays ADD COLUMN IF NOT EXISTS message TEXT;
+ALTER TABLE store_holidays ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE store_holidays ALTER COLUMN start_time DROP DEFAULT;
+ALTER TABLE store_holidays ALTER COLUMN end_time DROP DEFAULT;
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS delivery_polygon_rules JSONB;
+ALTER TABLE store_config DROP CONSTRAINT IF EXISTS store_config_delivery_active_rule_type_check;
+ALTER TABLE store_config ADD CONSTRAINT store_config_delivery_active_rule_type_check CHECK (delivery_active_rule_type IN ('postcode', 'distance', 'polygon'));
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS maps_provider TEXT CHECK (maps_provider IN ('mapbox', 'osrm', 'offline'));
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS maps_fallback_provider TEXT CHECK (maps_fallback_provider IN ('mapbox', 'osrm', 'offline'));
+ALTER TABLE store_config ADD COLUMN IF NOT EXISTS maps_road_factor NUMERIC(4,2) DEFAULT 1.3;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_engine TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_zone TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS delivery_distance_miles DECIMAL(6,2);
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_menu_items_category_id ON menu_items(category_id);
 CREATE INDEX IF NOT EXISTS idx_menu_items_available ON menu_items(is_available);
 CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
 CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_requested_time ON orders(requested_time);
+CREATE INDEX IF NOT EXISTS idx_store_holidays_dates ON store_holidays(holiday_date, end_date);
 CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
 CREATE INDEX IF NOT EXISTS idx_delivery_zones_pattern ON delivery_zones(pattern);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
 CREATE INDEX IF NOT EXISTS idx_users_reset_token ON users(reset_token);
 CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_order_status_history_order ON order_status_history(order_id);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_promo ON promo_redemptions(promo_code_id);
+CREATE INDEX IF NOT EXISTS idx_promo_redemptions_order ON promo_redemptions(order_id);
+CREATE INDEX IF NOT EXISTS idx_orders_contact_email_lower ON orders(contact_email_lower);
+CREATE INDEX IF NOT EXISTS idx_orders_unreleased_cancellations ON orders(status) WHERE holds_released_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_carts_expires_at ON carts(expires_at);
+CREATE INDEX IF NOT EXISTS idx_map_cache_expires_at ON map_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_map_cache_store_routes ON map_cache(store_id, kind);
+CREATE INDEX IF NOT EXISTS idx_cart_items_cart_id ON cart_items(cart_id);
+
+-- Take (or with a negative qty, give back) daily stock in one statement so two
+-- checkouts cannot both take the last unit. Returns false if there is not enough.
+CREATE OR REPLACE FUNCTION reserve_menu_item_stock(p_item_id TEXT, p_business_date DATE, p_qty INTEGER, p_limit INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    updated_rows INTEGER;
+BEGIN
+    INSERT INTO menu_item_stock (item_id, business_date, sold)
+    VALUES (p_item_id, p_business_date, 0)
+    ON CONFLICT (item_id, business_date) DO NOTHING;
+
+    UPDATE menu_item_stock
+    SET sold = GREATEST(sold + p_qty, 0)
+    WHERE item_id = p_item_id
+      AND business_date = p_business_date
+      AND (p_limit IS NULL OR sold + p_qty <= p_limit);
+
+    GET DIAGNOSTICS updated_rows = ROW_COUNT;
+    RETURN updated_rows > 0;
+END;
+$$ language 'plpgsql';
+
+-- Book (or with negative counts, free) a place in a slot in one statement so two
+-- checkouts cannot both take the last place. Returns false if the slot is full.
+CREATE OR REPLACE FUNCTION reserve_slot(p_store_id TEXT, p_mode TEXT, p_slot_start TIMESTAMP WITH TIME ZONE,
+                                        p_orders INTEGER, p_items INTEGER, p_max_orders INTEGER, p_max_items INTEGER)
+RETURNS BOOLEAN AS $$
+DECLARE
+    updated_rows INTEGER;
+BEGIN
+    INSERT INTO slot_bookings (store_id, mode, slot_start)
+    VALUES (p_store_id, p_mode, p_slot_start)
+    ON CONFLICT (store_id, mode, slot_start) DO NOTHING;
+
+    UPDATE slot_bookings
+    SET orders = GREATEST(orders + p_orders, 0),
+        items = GREATEST(items + p_items, 0)
+    WHERE store_id = p_store_id
+      AND mode = p_mode
+      AND slot_start = p_slot_start
+      AND (p_max_orders IS NULL OR orders + p_orders <= p_max_orders)
+      AND (p_max_items IS NULL OR items + p_items <= p_max_items);
+
+    GET DIAGNOSTICS updated_rows = ROW_COUNT;
+    RETURN updated_rows > 0;
+END;
+$$ language 'plpgsql';
+
+-- Give a cancelled order's daily stock back and clear orders.stock_reservation in
+-- one transaction, so calling it again never returns the same stock twice.
+CREATE OR REPLACE FUNCTION release_order_stock(p_order_id TEXT)
+RETURNS VOID AS $$
+DECLARE
+    v_reservation JSONB;
+    v_item JSONB;
+BEGIN
+    SELECT stock_reservation INTO v_reservation
+    FROM orders
+    WHERE id = p_order_id
+    FOR UPDATE;
+
+    IF v_reservation IS NULL THEN
+        RETURN;
+    END IF;
+
+    FOR v_item IN SELECT * FROM jsonb_array_elements(COALESCE(v_reservation->'items', '[]'::JSONB)) LOOP
+        PERFORM reserve_menu_item_stock(v_item->>'itemId', (v_reservation->>'businessDate')::DATE,
+                                        -((v_item->>'qty')::INTEGER), NULL);
+    END LOOP;
+
+    UPDATE orders SET stock_reservation = NULL WHERE id = p_order_id;
+END;
+$$ language 'plpgsql';
+
+-- Free a cancelled order's slot and clear orders.slot_reservation in one transaction
+CREATE OR REPLACE FUNCTION release_order_slot(p_order_id TEXT)
+RETURNS VOID AS $$
+DECLARE
+    v_reservation JSONB;
+BEGIN
+    SELECT slot_reservation INTO v_reservation
+    FROM orders
+    WHERE id = p_order_id
+    FOR UPDATE;
+
+    IF v_reservation IS NULL THEN
+        RETURN;
+    END IF;
+
+    PERFORM reserve_slot(v_reservation->>'storeId', v_reservation->>'mode', (v_reservation->>'slotStart')::TIMESTAMP WITH TIME ZONE,
+                         -1, -((v_reservation->>'items')::INTEGER), NULL, NULL);
+
+    UPDATE orders SET slot_reservation = NULL WHERE id = p_order_id;
+END;
+$$ language 'plpgsql';
+
+-- Append one entry to orders.notifications_sent in a single statement, so two status
+-- changes notifying at once cannot overwrite each other's entry
+CREATE OR REPLACE FUNCTION append_order_notification(p_order_id TEXT, p_entry JSONB)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE orders
+    SET notifications_sent = COALESCE(notifications_sent, '[]'::JSONB) || jsonb_build_array(p_entry)
+    WHERE id = p_order_id;
+END;
+$$ language 'plpgsql';
+
+-- Take one redemption of a promo code if its caps allow. The promo row is locked
+-- so concurrent checkouts are counted one after another. Returns the new
+-- redemption id, or the cap that refused it ('max_redemptions' / 'max_per_customer').
+CREATE OR REPLACE FUNCTION reserve_promo_redemption(p_promo_code_id UUID, p_user_id UUID,
+                                                    p_customer_email TEXT, p_amount_pence INTEGER)
+RETURNS TABLE (redemption_id UUID, refused TEXT) AS $$
+DECLARE
+    v_max_redemptions INTEGER;
+    v_max_per_customer INTEGER;
+    v_id UUID;
+BEGIN
+    SELECT max_redemptions, max_per_customer
+    INTO v_max_redemptions, v_max_per_customer
+    FROM promo_codes
+    WHERE id = p_promo_code_id
+    FOR UPDATE;
+
+    IF v_max_redemptions IS NOT NULL AND (
+        SELECT COUNT(*) FROM promo_redemptions r
+        WHERE r.promo_code_id = p_promo_code_id AND r.released_at IS NULL
+    ) >= v_max_redemptions THEN
+        RETURN QUERY SELECT NULL::UUID, 'max_redemptions'::TEXT;
+        RETURN;
+    END IF;
+
+    IF v_max_per_customer IS NOT NULL AND (
+        SELECT COUNT(*) FROM promo_redemptions r
+        WHERE r.promo_code_id = p_promo_code_id AND r.released_at IS NULL
+          AND ((p_user_id IS NOT NULL AND r.user_id = p_user_id) OR r.customer_email = p_customer_email)
+    ) >= v_max_per_customer THEN
+        RETURN QUERY SELECT NULL::UUID, 'max_per_customer'::TEXT;
+        RETURN;
+    END IF;
+
+    INSERT INTO promo_redemptions (promo_code_id, user_id, customer_email, amount_pence)
+    VALUES (p_promo_code_id, p_user_id, p_customer_email, p_amount_pence)
+    RETURNING id INTO v_id;
+
+    RETURN QUERY SELECT v_id, NULL::TEXT;
+END;
+$$ language 'plpgsql';
+
+-- Apply a menu import in one transaction, so a failure part-way leaves the menu as
+-- it was. p_steps is [{ op: 'insert' | 'update' | 'delete', table, id, row }] in the
+-- order to run; only the columns present in row are written. Returns the step count.
+CREATE OR REPLACE FUNCTION apply_menu_import(p_steps JSONB)
+RETURNS INTEGER AS $$
+DECLARE
+    v_step JSONB;
+    v_table TEXT;
+    v_columns TEXT;
+    v_count INTEGER := 0;
+BEGIN
+    FOR v_step IN SELECT * FROM jsonb_array_elements(p_steps) LOOP
+        v_table := v_step->>'table';
+        IF v_table NOT IN ('categories', 'menu_items', 'menu_options', 'menu_option_choices', 'menu_conditional_options') THEN
+            RAISE EXCEPTION 'Menu import cannot write to table %', v_table;
+        END IF;
+
+        IF v_step->>'op' = 'delete' THEN
+            EXECUTE format('DELETE FROM %I WHERE id::TEXT = $1', v_table) USING v_step->>'id';
+        ELSE
+            SELECT string_agg(quote_ident(key), ', ') INTO v_columns
+            FROM jsonb_object_keys(v_step->'row') AS key;
+
+            IF v_step->>'op' = 'insert' THEN
+                EXECUTE format('INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1)',
+                               v_table, v_columns, v_columns, v_table)
+                USING v_step->'row';
+            ELSE
+                EXECUTE format('UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id::TEXT = $2',
+                               v_table, v_columns, v_columns, v_table)
+                USING v_step->'row', v_step->>'id';
+            END IF;
+        END IF;
+
+        v_count := v_count + 1;
+    END LOOP;
+
+    RETURN v_count;
+END;
+$$ language 'plpgsql';
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -4,9 +4,70 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { supabase } from './lib/supabase.js';
 import { emailService } from './lib/email.js';
-import { quoteDelivery } from './services/delivery.js';
-import { hashPassword, comparePassword, generateToken, isValidEmail, isValidPassword } from './lib/auth.js';
-import { authenticateUser, optionalAuth } from './middleware/auth.js';
+import { startOutboxWorker, listOutboxMessages, requeueOutboxMessage } from './lib/outbox.js';
+import {
+  DELIVERY_RULE_TYPES,
+  quoteDelivery,
+  previewPolygonZones,
+  savePolygonZones,
+  savedPolygonRuleErrors,
+  deliveryRefusal
+} from './services/delivery.js';
+import { MAP_PROVIDERS } from './lib/mapclient.js';
+import { invalidateStoreRoutes, purgeExpiredMapCache, mapCacheStats } from './lib/mapCache.js';
+import { priceCartItems, priceOrder, diffSubmittedTotals } from './services/pricing.js';
+import { applyDiscounts } from './services/discounts.js';
+import { reservePromoRedemption, attachRedemption, cancelRedemption } from './services/promos.js';
+import {
+  ORDER_STATUSES,
+  allowedNextStatuses,
+  transitionOrder,
+  recordStatusHistory,
+  getOrderTimeline,
+  listKitchenOrders,
+  releaseCancelledOrder,
+  retryCancelledReleases
+} from './services/orderStatus.js';
+import { notifyStatusChange } from './services/notifications.js';
+import {
+  createCart,
+  getCart,
+  getCheckoutItems,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  deleteCart,
+  purgeExpiredCarts
+} from './services/carts.js';
+import * as menuAdmin from './services/menuAdmin.js';
+import { exportMenu, importMenu, menuToCsv, csvToMenu } from './services/menuTransfer.js';
+import { getMenu, invalidateMenu, isNotModified } from './services/menu.js';
+import { searchMenu } from './services/menuSearch.js';
+import {
+  resolveCalendar,
+  resolveDay,
+  isOpenAt,
+  listExceptions,
+  createException,
+  updateException,
+  deleteException
+} from './services/storeCalendar.js';
+import { storeClock, addDays } from './lib/storeTime.js';
+import {
+  SLOT_MODES,
+  getSlots,
+  deliveryZone,
+  bookRequestedTime,
+  releaseSlot,
+  listCapacityOverrides,
+  setCapacityOverride,
+  deleteCapacityOverride
+} from './services/slots.js';
+import { UK_ALLERGENS, DIETARY_TAGS, lineAllergens, unknownAllergens } from './lib/allergens.js';
+import { reserveStock, releaseStock, setSoldOut } from './services/availability.js';
+import { hashPassword, comparePassword, generateToken, isValidEmail, isValidPassword, ROLES } from './lib/auth.js';
+import { authenticateUser, optionalAuth, requireRole } from './middleware/auth.js';
 
 // Create Fastify instance
 const app = Fastify({ logger: true });
@@ -18,170 +79,202 @@ await app.register(cors, { origin: '*' });
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Simple in-memory cart store (dev only)
-const carts = {};
+// Purge abandoned carts once an hour
+setInterval(() => {
+  purgeExpiredCarts()
+    .then(count => count > 0 && app.log.info(`Purged ${count} expired carts`))
+    .catch(error => app.log.error('Cart purge error:', error));
+}, 3600000).unref();
+
+// Drop expired geocodes and distances once an hour
+setInterval(() => {
+  purgeExpiredMapCache()
+    .catch(error => app.log.error('Map cache purge error:', error));
+}, 3600000).unref();
+
+// Finish releasing promo, stock and slot holds for cancelled orders where it failed
+setInterval(() => {
+  retryCancelledReleases()
+    .then(count => {
+      if (count > 0) {
+        invalidateMenu();
+        app.log.info(`Released holds for ${count} cancelled orders`);
+      }
+    })
+    .catch(error => app.log.error('Cancelled order release error:', error));
+}, 300000).unref();
+
+// Send queued emails in the background
+startOutboxWorker({ logger: app.log });
 
 // Health check
 app.get('/health', async () => ({ ok: true }));
 
-// GET /api/menu returns categories and items with options
-app.get('/api/menu', async () => {
-  try {
-    // Get categories
-    const { data: categories, error: catError } = await supabase
-      .from('categories')
-      .select('id, name, description')
-      .order('display_order');
-
-    if (catError) throw catError;
+// Allergen/dietary filters from the query string, or null after replying 400
+function menuFilters(query, reply) {
+  const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+  const filters = {
+    excludeAllergens: list(query.excludeAllergens),
+    dietary: list(query.dietary)
+  };
 
-    // Get menu items
-    const { data: items, error: itemsError } = await supabase
-      .from('menu_items')
-      .select('id, name, description, price_pence, category_id, image_url')
-      .eq('is_available', true)
-      .order('display_order');
+  const unknown = unknownAllergens(filters.excludeAllergens);
+  if (unknown.length > 0 || filters.dietary.some(tag => !DIETARY_TAGS.includes(tag))) {
+    reply.code(400).send({ error: 'Unknown allergen or dietary filter', allergens: UK_ALLERGENS, dietaryTags: DIETARY_TAGS });
+    return null;
+  }
+  return filters;
+}
 
-    if (itemsError) throw itemsError;
+// GET /api/menu returns categories and items with options.
+// Optional filters: ?excludeAllergens=peanuts,milk&dietary=vegan
+app.get('/api/menu', async (req, reply) => {
+  try {
+    const filters = menuFilters(req.query, reply);
+    if (!filters) return;
 
-    // Get options for each item
-    const itemsWithOptions = await Promise.all(
-      items.map(async (item) => {
-        // Get options
-        const { data: options, error: optionsError } = await supabase
-          .from('menu_options')
-          .select(`
-            id,
-            name,
-            type,
-            required,
-            display_order,
-            menu_option_choices (
-              id,
-              name,
-              price_delta_pence,
-              display_order
-            )
-          `)
-          .eq('item_id', item.id)
-          .order('display_order');
-
-        // Get conditional options for this item
-        const { data: conditionalOptions, error: conditionalError } = await supabase
-          .from('menu_conditional_options')
-          .select(`
-            parent_option_id,
-            parent_choice_id,
-            dependent_option_id
-          `)
-          .in('parent_option_id', options.map(opt => opt.id));
-
-        if (optionsError) {
-          app.log.error(`Error fetching options for item ${item.id}:`, optionsError);
-          return {
-            id: item.id,
-            name: item.name,
-            description: item.description || '',
-            price: item.price_pence,
-            categoryId: item.category_id,
-            imageUrl: item.image_url,
-            options: []
-          };
-        }
+    const { body, etag, lastModified } = await getMenu({ filters });
 
-        // Transform options
-        const transformedOptions = options.map(option => ({
-          id: option.id,
-          name: option.name,
-          type: option.type,
-          required: option.required,
-          choices: option.menu_option_choices
-            .sort((a, b) => a.display_order - b.display_order)
-            .map(choice => ({
-              id: choice.id,
-              name: choice.name,
-              priceDelta: choice.price_delta_pence
-            })),
-          // Add conditional logic info
-          isConditional: conditionalOptions ? conditionalOptions.some(cond => cond.dependent_option_id === option.id) : false,
-          dependsOnOption: conditionalOptions ? conditionalOptions.find(cond => cond.dependent_option_id === option.id)?.parent_option_id : null,
-          dependsOnChoice: conditionalOptions ? conditionalOptions.find(cond => cond.dependent_option_id === option.id)?.parent_choice_id : null
-        }));
-
-        // Add conditional options data to the response
-        const conditionalMap = {};
-        if (conditionalOptions) {
-          conditionalOptions.forEach(cond => {
-            if (!conditionalMap[cond.parent_option_id]) {
-              conditionalMap[cond.parent_option_id] = {};
-            }
-            conditionalMap[cond.parent_option_id][cond.parent_choice_id] = cond.dependent_option_id;
-          });
-        }
+    reply
+      .header('ETag', etag)
+      .header('Last-Modified', lastModified.toUTCString())
+      .header('Cache-Control', 'no-cache');
 
-        return {
-          id: item.id,
-          name: item.name,
-          description: item.description || '',
-          price: item.price_pence,
-          categoryId: item.category_id,
-          imageUrl: item.image_url,
-          options: transformedOptions,
-          conditionalOptions: conditionalMap
-        };
-      })
-    );
+    if (isNotModified(req.headers, { etag, lastModified })) {
+      reply.code(304).send();
+      return reply;
+    }
 
-    return { categories, items: itemsWithOptions };
+    reply.type('application/json; charset=utf-8').send(body);
+    return reply;
   } catch (error) {
     app.log.error('Menu fetch error:', error);
-    return { categories: [], items: [] };
+    reply.code(503).send({ error: 'Menu is temporarily unavailable' });
   }
 });
 
-// Create a new cart
-app.post('/api/cart/create', async (req, reply) => {
-  const id = Math.random().toString(36).slice(2);
-  carts[id] = { id, items: [], subtotalPence: 0 };
-  return carts[id];
+// Search the menu: ?q=chicken chow mein&category=cat_chow_mein&minPrice=500&maxPrice=900
+// &dietary=vegan&excludeAllergens=peanuts&available=true&limit=20 (prices in pence)
+app.get('/api/menu/search', async (req, reply) => {
+  try {
+    const filters = menuFilters(req.query, reply);
+    if (!filters) return;
+
+    const { q = '', category = null, minPrice, maxPrice, available, limit = 50 } = req.query;
+    const price = value => (value === undefined || value === '' ? null : Number(value));
+    const minPricePence = price(minPrice);
+    const maxPricePence = price(maxPrice);
+
+    if ([minPricePence, maxPricePence].some(value => value !== null && !Number.isFinite(value))) {
+      reply.code(400).send({ error: 'minPrice and maxPrice must be numbers of pence' });
+      return;
+    }
+    if (String(q).length > 100) {
+      reply.code(400).send({ error: 'Search query is too long' });
+      return;
+    }
+
+    const { menu } = await getMenu({ filters });
+    const result = searchMenu(menu, {
+      query: q,
+      categoryId: category,
+      minPricePence,
+      maxPricePence,
+      availableOnly: available === 'true',
+      limit: Math.min(Math.max(Number(limit) || 50, 1), 200)
+    });
+
+    return { query: q, ...result };
+  } catch (error) {
+    app.log.error('Menu search error:', error);
+    reply.code(503).send({ error: 'Menu is temporarily unavailable' });
+  }
 });
 
-// Add item to cart
-app.post('/api/cart/:id/add', async (req, reply) => {
-  const { id } = req.params;
-  const cart = carts[id];
-  if (!cart) {
-    reply.code(404).send({ error: 'Cart not found' });
+// Send the result of a cart service call
+function sendCartResult(reply, result) {
+  if (result.notFound) {
+    reply.code(404).send({ error: 'Cart or cart item not found' });
     return;
   }
-  const { itemId, qty = 1, modifiers = [] } = req.body || {};
-  
+  if (result.invalidItems) {
+    reply.code(400).send({ error: 'Invalid cart item', invalidItems: result.invalidItems });
+    return;
+  }
+  return result.cart;
+}
+
+// Create a new cart
+app.post('/api/cart/create', { preHandler: optionalAuth }, async (req, reply) => {
   try {
-    // Get item from database
-    const { data: item, error } = await supabase
-      .from('menu_items')
-      .select('id, name, price_pence')
-      .eq('id', itemId)
-      .eq('is_available', true)
-      .single();
+    return await createCart({ userId: req.user?.id || null });
+  } catch (error) {
+    app.log.error('Error creating cart:', error);
+    reply.code(500).send({ error: 'Failed to create cart' });
+  }
+});
 
-    if (error || !item) {
-      reply.code(400).send({ error: 'Invalid item' });
+// Get cart with current prices
+app.get('/api/cart/:id', { preHandler: optionalAuth }, async (req, reply) => {
+  try {
+    const cart = await getCart(req.params.id, { userId: req.user?.id || null });
+    if (!cart) {
+      reply.code(404).send({ error: 'Cart not found' });
       return;
     }
-
-    // Compute price delta from modifiers
-    const modSum = modifiers.reduce((sum, m) => sum + (m.priceDeltaPence || 0), 0);
-    const unitPrice = item.price_pence + modSum;
-    cart.items.push({ itemId, qty, unitPrice, modifiers });
-    cart.subtotalPence += unitPrice * qty;
     return cart;
+  } catch (error) {
+    app.log.error('Error fetching cart:', error);
+    reply.code(500).send({ error: 'Failed to fetch cart' });
+  }
+});
+
+// Add item to cart
+app.post('/api/cart/:id/add', { preHandler: optionalAuth }, async (req, reply) => {
+  const { itemId, qty = 1, modifiers = [] } = req.body || {};
+  try {
+    const result = await addCartItem(req.params.id, { itemId, qty, modifiers }, { userId: req.user?.id || null });
+    return sendCartResult(reply, result);
   } catch (error) {
     app.log.error('Error adding item to cart:', error);
     reply.code(500).send({ error: 'Failed to add item to cart' });
   }
 });
 
+// Update quantity and/or modifiers of a cart line
+app.patch('/api/cart/:id/items/:lineId', { preHandler: optionalAuth }, async (req, reply) => {
+  const { qty, modifiers } = req.body || {};
+  try {
+    const result = await updateCartItem(req.params.id, req.params.lineId, { qty, modifiers }, { userId: req.user?.id || null });
+    return sendCartResult(reply, result);
+  } catch (error) {
+    app.log.error('Error updating cart item:', error);
+    reply.code(500).send({ error: 'Failed to update cart item' });
+  }
+});
+
+// Remove a line from the cart
+app.delete('/api/cart/:id/items/:lineId', { preHandler: optionalAuth }, async (req, reply) => {
+  try {
+    const result = await removeCartItem(req.params.id, req.params.lineId, { userId: req.user?.id || null });
+    return sendCartResult(reply, result);
+  } catch (error) {
+    app.log.error('Error removing cart item:', error);
+    reply.code(500).send({ error: 'Failed to remove cart item' });
+  }
+});
+
+// Clear all lines from the cart
+app.delete('/api/cart/:id/items', { preHandler: optionalAuth }, async (req, reply) => {
+  try {
+    const result = await clearCart(req.params.id, { userId: req.user?.id || null });
+    return sendCartResult(reply, result);
+  } catch (error) {
+    app.log.error('Error clearing cart:', error);
+    reply.code(500).send({ error: 'Failed to clear cart' });
+  }
+});
+
 // Delivery quote endpoint
 app.post('/api/delivery/quote', async (req, reply) => {
   const { mode = 'delivery', postcode = '', address = '', subtotalPence = 0 } = req.body || {};
@@ -200,13 +293,16 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
     const {
       checkoutMethod, // 'guest', 'login', 'register'
       mode = 'collection',
-      cartItems,
-      subtotalPence = 0,
-      deliveryFeePence = 0,
-      discountPence = 0,
-      totalPence = 0,
+      cartId,
+      subtotalPence,
+      deliveryFeePence,
+      discountPence,
+      totalPence,
       paymentMethod = 'card',
       comment = '',
+      promoCode,
+      language = null,
+      requestedTime = 'asap', // or the startsAt of a slot from the times endpoints
       // Guest checkout data
       guestData,
       // Login data
@@ -214,15 +310,34 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
       // Registration data
       registerData
     } = req.body || {};
+    let { cartItems } = req.body || {};
+
+    // A stored cart takes precedence over client-assembled items
+    if (cartId) {
+      cartItems = await getCheckoutItems(cartId, { userId: req.user?.id || null });
+      if (!cartItems) {
+        reply.code(404).send({ error: 'Cart not found' });
+        return;
+      }
+    }
 
     if (!Array.isArray(cartItems) || cartItems.length === 0) {
       reply.code(400).send({ error: 'Cart is empty' });
       return;
     }
 
+    // Reject items and modifiers we cannot price before touching any accounts
+    const { invalidItems } = await priceCartItems(cartItems);
+    if (invalidItems.length > 0) {
+      reply.code(400).send({ error: 'Invalid cart items', invalidItems });
+      return;
+    }
+
     let user = null;
     let contact = {};
     let address = {};
+    // Registration details, saved only once the order is going ahead
+    let newAccount = null;
 
     // If user is authenticated, use their information directly
     if (req.user) {
@@ -350,39 +465,29 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
           return;
         }
 
-        // Create new user
-        const passwordHash = await hashPassword(registerData.password);
-        const { data: newUser, error: createError } = await supabase
-          .from('users')
-          .insert({
-            email: registerData.email,
-            password_hash: passwordHash,
-            first_name: registerData.firstName,
-            last_name: registerData.lastName,
-            telephone: registerData.telephone,
-            postcode: registerData.postcode,
-            address: registerData.address,
-            street_name: registerData.streetName,
-            city: registerData.city
-          })
-          .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city')
-          .single();
-
-        if (createError) throw createError;
-
-        user = newUser;
+        newAccount = {
+          email: registerData.email,
+          password_hash: await hashPassword(registerData.password),
+          first_name: registerData.firstName,
+          last_name: registerData.lastName,
+          telephone: registerData.telephone,
+          postcode: registerData.postcode,
+          address: registerData.address,
+          street_name: registerData.streetName,
+          city: registerData.city
+        };
         contact = {
-          firstName: user.first_name,
-          lastName: user.last_name,
-          name: `${user.first_name} ${user.last_name || ''}`.trim(),
-          email: user.email,
-          phone: user.telephone
+          firstName: newAccount.first_name,
+          lastName: newAccount.last_name,
+          name: `${newAccount.first_name} ${newAccount.last_name || ''}`.trim(),
+          email: newAccount.email,
+          phone: newAccount.telephone
         };
         address = {
-          postcode: user.postcode,
-          line1: user.address,
-          streetName: user.street_name,
-          city: user.city
+          postcode: newAccount.postcode,
+          line1: newAccount.address,
+          streetName: newAccount.street_name,
+          city: newAccount.city
         };
         break;
 
@@ -392,6 +497,158 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
       }
     }
 
+    // Recompute every amount server-side and refuse totals the client got wrong
+    const pricing = await priceOrder({
+      cartItems,
+      mode,
+      postcode: address.postcode,
+      address: address.line1,
+      store: 'default',
+      promoCode,
+      customer: { userId: user?.id || null, email: contact.email }
+    });
+
+    if (pricing.invalidItems.length > 0) {
+      reply.code(400).send({ error: 'Invalid cart items', invalidItems: pricing.invalidItems });
+      return;
+    }
+
+    if (pricing.promo && !pricing.promo.valid) {
+      reply.code(400).send({ error: pricing.promo.reason, promoCode });
+      return;
+    }
+
+    // The delivery engine must accept the address and the spend, as in /api/delivery/quote
+    const refusal = mode === 'delivery' ? deliveryRefusal(pricing.quote, pricing.subtotalPence) : null;
+    if (refusal) {
+      reply.code(400).send({
+        error: refusal.reason,
+        postcode: address.postcode,
+        zone: pricing.quote.zone,
+        minOrderPence: refusal.minOrderPence,
+        shortfallPence: refusal.shortfallPence
+      });
+      return;
+    }
+
+    const mismatches = diffSubmittedTotals(pricing, {
+      cartItems,
+      subtotalPence,
+      deliveryFeePence,
+      discountPence,
+      totalPence
+    });
+
+    if (mismatches.length > 0) {
+      reply.code(409).send({
+        error: 'Order totals do not match',
+        mismatches,
+        expected: {
+          subtotalPence: pricing.subtotalPence,
+          deliveryFeePence: pricing.deliveryFeePence,
+          discountPence: pricing.discountPence,
+          totalPence: pricing.totalPence,
+          discounts: pricing.discounts.applied,
+          promoDiscountPence: pricing.promoDiscountPence,
+          items: pricing.lines.map(line => ({
+            itemId: line.itemId,
+            qty: line.qty,
+            unitPricePence: line.unitPricePence
+          }))
+        }
+      });
+      return;
+    }
+
+    // Book the requested time against the slots and opening hours as they are now;
+    // the slot may have filled up since the customer picked it
+    const booking = await bookRequestedTime({
+      mode,
+      requestedTime,
+      items: pricing.lines.reduce((sum, line) => sum + line.qty, 0),
+      zone: deliveryZone(pricing.quote)
+    });
+    if (booking.invalid) {
+      reply.code(400).send({ error: booking.invalid, requestedTime });
+      return;
+    }
+    if (booking.full || booking.unavailable) {
+      reply.code(409).send({
+        error: booking.unavailable || 'Requested time is fully booked',
+        requestedTime,
+        nextAvailableSlot: booking.nextSlot
+      });
+      return;
+    }
+    const slotReservation = booking.reservation;
+
+    // Take daily stock for limited items; another order may have got there first
+    const stock = await reserveStock(pricing.lines);
+    if (stock.shortItems) {
+      await releaseSlot(slotReservation);
+      reply.code(409).send({ error: 'Some items have sold out', shortItems: stock.shortItems });
+      return;
+    }
+    const stockReservation = stock.reserved.length > 0
+      ? { businessDate: stock.businessDate, items: stock.reserved }
+      : null;
+    if (stockReservation) invalidateMenu();
+
+    // Give back what this checkout took when the order cannot be saved
+    let redemption = null;
+    // (each one is tried even if another fails)
+    const releaseHolds = async () => {
+      const results = await Promise.allSettled([
+        stockReservation && releaseStock(stockReservation.items, stockReservation.businessDate).then(invalidateMenu),
+        releaseSlot(slotReservation),
+        redemption?.redemptionId && cancelRedemption(redemption.redemptionId)
+      ]);
+      results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => app.log.error('Checkout release error:', result.reason));
+    };
+
+    // Use up the promo code now; the caps are checked again atomically, since
+    // other checkouts may have redeemed it since it was validated
+    if (pricing.promo) {
+      try {
+        redemption = await reservePromoRedemption({
+          promo: pricing.promo.promo,
+          userId: user?.id || null,
+          email: contact.email,
+          amountPence: pricing.promoDiscountPence
+        });
+      } catch (promoError) {
+        await releaseHolds();
+        throw promoError;
+      }
+      if (redemption.invalid) {
+        await releaseHolds();
+        reply.code(400).send({ error: redemption.invalid, promoCode });
+        return;
+      }
+    }
+
+    // Everything has been checked, so a new customer's account can be created now
+    if (newAccount) {
+      const { data: newUser, error: createError } = await supabase
+        .from('users')
+        .insert(newAccount)
+        .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city, role')
+        .single();
+
+      if (createError) {
+        await releaseHolds();
+        // Registered by another request since the check above
+        if (createError.code === '23505') {
+          reply.code(400).send({ error: 'Email already registered' });
+          return;
+        }
+        throw createError;
+      }
+      user = newUser;
+    }
+
     // Generate order ID
     const orderId = 'ORD' + Math.random().toString(36).slice(2, 10).toUpperCase();
     
@@ -411,35 +668,96 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
         street: address.streetName,
         city: address.city,
         mode,
-        subtotal_pence: subtotalPence,
-        delivery_fee_pence: deliveryFeePence,
-        discount_pence: discountPence,
-        total_pence: totalPence,
+        subtotal_pence: pricing.subtotalPence,
+        delivery_fee_pence: pricing.deliveryFeePence,
+        discount_pence: pricing.discountPence,
+        total_pence: pricing.totalPence,
+        promo_code: pricing.promo?.promo.code || null,
+        promo_discount_pence: pricing.promoDiscountPence,
         payment_method: paymentMethod,
         status: 'processing',
-        comment: comment
+        comment: comment,
+        language,
+        requested_time: booking.requestedTime,
+        stock_reservation: stockReservation,
+        slot_reservation: slotReservation,
+        delivery_engine: mode === 'delivery' ? pricing.quote.debug?.engine : null,
+        delivery_zone: mode === 'delivery' ? pricing.quote.zone : null,
+        delivery_distance_miles: mode === 'delivery' ? pricing.quote.debug?.distanceMiles ?? null : null
       })
       .select()
       .single();
 
-    if (orderError) throw orderError;
+    if (orderError) {
+      await releaseHolds();
+      throw orderError;
+    }
 
     // Insert order items
-    const orderItems = cartItems.map(item => ({
+    const orderItems = pricing.lines.map(line => ({
       order_id: orderId,
-      item_id: item.id,
-      item_name: item.name,
-      quantity: item.qty,
-      unit_price_pence: item.price,
-      total_price_pence: item.price * item.qty,
-      modifiers: item.modifiers || []
+      item_id: line.itemId,
+      item_name: line.name,
+      quantity: line.qty,
+      unit_price_pence: line.unitPricePence,
+      total_price_pence: line.totalPricePence,
+      modifiers: line.modifiers
     }));
 
+    // Free items earned through discount rules go on the order at no charge
+    pricing.discounts.freeItems.forEach(freeItem => {
+      orderItems.push({
+        order_id: orderId,
+        item_id: freeItem.itemId || `discount:${freeItem.ruleId}`,
+        item_name: freeItem.name,
+        quantity: freeItem.qty,
+        unit_price_pence: 0,
+        total_price_pence: 0,
+        modifiers: []
+      });
+    });
+
     const { error: itemsError } = await supabase
       .from('order_items')
       .insert(orderItems);
 
-    if (itemsError) throw itemsError;
+    if (itemsError) {
+      // An order without its items cannot be made; take it back out entirely
+      await releaseHolds();
+      const { error: deleteError } = await supabase.from('orders').delete().eq('id', orderId);
+      if (deleteError) app.log.error(`Could not remove incomplete order ${orderId}:`, deleteError);
+      throw itemsError;
+    }
+
+    // The order is placed from here on; bookkeeping failures are logged, not returned
+    try {
+      await recordStatusHistory({
+        orderId,
+        toStatus: 'processing',
+        actor: 'customer',
+        actorUserId: user?.id || null,
+        reason: 'Order placed'
+      });
+    } catch (historyError) {
+      app.log.error(`Status history error for order ${orderId}:`, historyError);
+    }
+
+    if (redemption) {
+      try {
+        await attachRedemption(redemption.redemptionId, { orderId, userId: user?.id || null });
+      } catch (redemptionError) {
+        app.log.error(`Promo redemption ${redemption.redemptionId} not linked to order ${orderId}:`, redemptionError);
+      }
+    }
+
+    // The cart has been turned into an order
+    if (cartId) {
+      try {
+        await deleteCart(cartId);
+      } catch (cartError) {
+        app.log.error('Cart cleanup error:', cartError);
+      }
+    }
 
     // Send confirmation email
     if (contact.email) {
@@ -447,13 +765,21 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
         await emailService.sendOrderConfirmation({
           contact,
           orderId,
-          totalPence,
-          cartItems,
+          totalPence: pricing.totalPence,
+          cartItems: orderItems.map(item => ({
+            name: item.item_name,
+            qty: item.quantity,
+            price: item.unit_price_pence,
+            modifiers: item.modifiers
+          })),
           mode,
-          subtotalPence,
-          deliveryFeePence,
-          discountPence,
-          comment
+          subtotalPence: pricing.subtotalPence,
+          deliveryFeePence: pricing.deliveryFeePence,
+          discountPence: pricing.discountPence,
+          allergens: [...new Set(pricing.lines.flatMap(lineAllergens))],
+          requestedTime: booking.requestedTime,
+          comment,
+          language
         });
       } catch (emailError) {
         app.log.error('Email send error:', emailError);
@@ -464,12 +790,15 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
     // Generate token for registered/logged in users
     let token = null;
     if (user) {
-      token = generateToken(user.id);
+      token = generateToken(user.id, user.role);
     }
 
     return { 
       success: true, 
       orderId, 
+      totalPence: pricing.totalPence,
+      requestedTime: booking.requestedTime,
+      estimatedSlot: slotReservation.slotStart,
       message: 'Order placed successfully', 
       paymentMethod,
       emailSent: !!contact.email,
@@ -493,15 +822,24 @@ app.post('/api/checkout', { preHandler: optionalAuth }, async (req, reply) => {
 });
 
 // Switch delivery rule type endpoint
-app.post('/api/delivery/switch-rule-type', async (req, reply) => {
+app.post('/api/delivery/switch-rule-type', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
   try {
     const { ruleType, storeId = 'default' } = req.body;
     
-    if (!ruleType || !['postcode', 'distance'].includes(ruleType)) {
-      reply.code(400).send({ error: 'Invalid rule type. Must be "postcode" or "distance"' });
+    if (!ruleType || !DELIVERY_RULE_TYPES.includes(ruleType)) {
+      reply.code(400).send({ error: 'Invalid rule type. Must be "postcode", "distance" or "polygon"' });
       return;
     }
 
+    // Without usable zones every delivery address would be out of area
+    if (ruleType === 'polygon') {
+      const zoneErrors = await savedPolygonRuleErrors(storeId);
+      if (zoneErrors.length > 0) {
+        reply.code(400).send({ error: 'Save valid delivery zones before switching to polygon rules', errors: zoneErrors });
+        return;
+      }
+    }
+
     const { data, error } = await supabase
       .from('store_config')
       .update({ delivery_active_rule_type: ruleType })
@@ -523,16 +861,49 @@ app.post('/api/delivery/switch-rule-type', async (req, reply) => {
 });
 
 // Update store time settings endpoint
-app.post('/api/store/update-time-settings', async (req, reply) => {
+app.post('/api/store/update-time-settings', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
   try {
     const { 
       collectionLeadTimeMinutes, 
       collectionBufferBeforeCloseMinutes,
       deliveryLeadTimeMinutes, 
       deliveryBufferBeforeCloseMinutes,
+      collectionSlotIntervalMinutes,
+      deliverySlotIntervalMinutes,
+      collectionSlotMaxOrders,
+      collectionSlotMaxItems,
+      deliverySlotMaxOrders,
+      deliverySlotMaxItems,
+      preorderHorizonDays,
+      preorderReleaseMinutes,
       storeId = 'default' 
     } = req.body;
     
+    const intervals = [collectionSlotIntervalMinutes, deliverySlotIntervalMinutes].filter(value => value !== undefined);
+    if (intervals.some(value => !Number.isInteger(value) || value < 5 || value > 120)) {
+      reply.code(400).send({ error: 'Slot intervals must be whole minutes between 5 and 120' });
+      return;
+    }
+
+    const limits = {
+      collection_slot_max_orders: collectionSlotMaxOrders,
+      collection_slot_max_items: collectionSlotMaxItems,
+      delivery_slot_max_orders: deliverySlotMaxOrders,
+      delivery_slot_max_items: deliverySlotMaxItems
+    };
+    if (!Object.values(limits).every(isSlotLimit)) {
+      reply.code(400).send({ error: 'Slot limits must be whole numbers or null for unlimited' });
+      return;
+    }
+    if (preorderHorizonDays !== undefined && (!Number.isInteger(preorderHorizonDays) || preorderHorizonDays < 0 || preorderHorizonDays > 60)) {
+      reply.code(400).send({ error: 'preorderHorizonDays must be a whole number of days up to 60' });
+      return;
+    }
+    if (preorderReleaseMinutes !== undefined && (!Number.isInteger(preorderReleaseMinutes) || preorderReleaseMinutes < 0)) {
+      reply.code(400).send({ error: 'preorderReleaseMinutes must be a whole number of minutes' });
+      return;
+    }
+
     const updateData = {};
     
     if (collectionLeadTimeMinutes !== undefined) {
@@ -547,6 +918,21 @@ app.post('/api/store/update-time-settings', async (req, reply) => {
     if (deliveryBufferBeforeCloseMinutes !== undefined) {
       updateData.delivery_buffer_before_close_minutes = deliveryBufferBeforeCloseMinutes;
     }
+    if (collectionSlotIntervalMinutes !== undefined) {
+      updateData.collection_slot_interval_minutes = collectionSlotIntervalMinutes;
+    }
+    if (deliverySlotIntervalMinutes !== undefined) {
+      updateData.delivery_slot_interval_minutes = deliverySlotIntervalMinutes;
+    }
+    Object.entries(limits).forEach(([column, value]) => {
+      if (value !== undefined) updateData[column] = value;
+    });
+    if (preorderHorizonDays !== undefined) {
+      updateData.preorder_horizon_days = preorderHorizonDays;
+    }
+    if (preorderReleaseMinutes !== undefined) {
+      updateData.preorder_release_minutes = preorderReleaseMinutes;
+    }
 
     if (Object.keys(updateData).length === 0) {
       reply.code(400).send({ error: 'No valid time settings provided' });
@@ -573,6 +959,118 @@ app.post('/api/store/update-time-settings', async (req, reply) => {
   }
 });
 
+// Choose the geocoding/routing provider for distance and polygon delivery rules
+app.post('/api/store/update-maps-settings', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
+  try {
+    const { provider, fallbackProvider, roadFactor, storeId = 'default' } = req.body || {};
+    const isProvider = value => value === null || MAP_PROVIDERS.includes(value);
+
+    const updateData = {};
+    if (provider !== undefined) {
+      if (!isProvider(provider)) {
+        reply.code(400).send({ error: 'provider must be one of the map providers or null', validProviders: MAP_PROVIDERS });
+        return;
+      }
+      updateData.maps_provider = provider;
+    }
+    if (fallbackProvider !== undefined) {
+      if (!isProvider(fallbackProvider)) {
+        reply.code(400).send({ error: 'fallbackProvider must be one of the map providers or null', validProviders: MAP_PROVIDERS });
+        return;
+      }
+      updateData.maps_fallback_provider = fallbackProvider;
+    }
+    if (roadFactor !== undefined) {
+      if (typeof roadFactor !== 'number' || roadFactor < 1 || roadFactor > 3) {
+        reply.code(400).send({ error: 'roadFactor must be between 1 and 3' });
+        return;
+      }
+      updateData.maps_road_factor = roadFactor;
+    }
+
+    if (Object.keys(updateData).length === 0) {
+      reply.code(400).send({ error: 'No valid map settings provided' });
+      return;
+    }
+
+    const { error } = await supabase
+      .from('store_config')
+      .update(updateData)
+      .eq('id', storeId);
+
+    if (error) throw error;
+    // Distances from another provider or road factor no longer apply
+    await invalidateStoreRoutes(storeId);
+
+    return {
+      success: true,
+      updated: updateData,
+      message: 'Map settings updated successfully'
+    };
+  } catch (error) {
+    app.log.error('Error updating map settings:', error);
+    reply.code(500).send({ error: 'Failed to update map settings' });
+  }
+});
+
+// Move the store; cached delivery distances from the old location are dropped
+app.post('/api/store/update-location', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
+  try {
+    const { lat, lng, storeId = 'default' } = req.body || {};
+
+    if (!(Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+      reply.code(400).send({ error: 'lat and lng must be numbers' });
+      return;
+    }
+
+    const { error } = await supabase
+      .from('store_config')
+      .update({ location_lat: lat, location_lng: lng })
+      .eq('id', storeId);
+
+    if (error) throw error;
+    const clearedRoutes = await invalidateStoreRoutes(storeId);
+
+    return {
+      success: true,
+      location: { lat, lng },
+      clearedRoutes,
+      message: 'Store location updated successfully'
+    };
+  } catch (error) {
+    app.log.error('Error updating store location:', error);
+    reply.code(500).send({ error: 'Failed to update store location' });
+  }
+});
+
+// Update which order statuses email the customer
+app.post('/api/store/update-notification-settings', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
+  try {
+    const { notifyOnStatuses, storeId = 'default' } = req.body || {};
+
+    if (!Array.isArray(notifyOnStatuses) || notifyOnStatuses.some(status => !ORDER_STATUSES.includes(status))) {
+      reply.code(400).send({ error: 'notifyOnStatuses must be a list of order statuses', validStatuses: ORDER_STATUSES });
+      return;
+    }
+
+    const { error } = await supabase
+      .from('store_config')
+      .update({ notify_on_statuses: notifyOnStatuses })
+      .eq('id', storeId);
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      notifyOnStatuses,
+      message: 'Notification settings updated successfully'
+    };
+  } catch (error) {
+    app.log.error('Error updating notification settings:', error);
+    reply.code(500).send({ error: 'Failed to update notification settings' });
+  }
+});
+
 // Get store configuration endpoint
 app.get('/api/store/config', async (req, reply) => {
   try {
@@ -593,48 +1091,29 @@ app.get('/api/store/config', async (req, reply) => {
   }
 });
 
-// Get store opening hours endpoint
+// Get store opening hours endpoint (?date=YYYY-MM-DD, default today), with closures and special hours applied
 app.get('/api/store/hours', async (req, reply) => {
   try {
-    const { date } = req.query;
-    // Use UK timezone for store operations
-    const now = new Date();
-    const ukTime = new Date(now.toLocaleString("en-US", {timeZone: "Europe/London"}));
-    const targetDate = date ? new Date(date + 'T00:00:00') : ukTime;
-    const dayOfWeek = targetDate.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    
-    app.log.info(`Fetching opening hours for day ${dayOfWeek} (${targetDate.toISOString().split('T')[0]})`);
-    
-    const { data, error } = await supabase
-      .from('store_opening_hours')
-      .select('*')
-      .eq('day_of_week', dayOfWeek);
-      
-    if (error) {
-      app.log.error('Supabase error fetching opening hours:', error);
-      throw error;
-    }
-    
-    app.log.info(`Found ${data.length} opening hours records for day ${dayOfWeek}:`, data);
-    
-    // Filter out closed periods and format the hours
-    const openHours = data.filter(period => !period.is_closed);
-    const todayHours = openHours.map(period => ({
-      open_time: period.open_time,
-      close_time: period.close_time,
-      formatted: `${period.open_time.substring(0,5)}-${period.close_time.substring(0,5)}`
+    const date = dateParam(req.query, reply);
+    if (reply.sent) return;
+
+    const day = await resolveDay(date || storeClock().date);
+    const hours = day.periods.map(entry => ({
+      open_time: entry.open,
+      close_time: entry.close,
+      formatted: `${entry.open}-${entry.close}`
     }));
-    
-    const result = {
-      day_of_week: dayOfWeek,
-      date: targetDate.toISOString().split('T')[0],
-      isOpen: todayHours.length > 0,
-      is_closed: todayHours.length === 0,
-      hours: todayHours
+
+    return {
+      day_of_week: day.dayOfWeek,
+      date: day.date,
+      isOpen: hours.length > 0,
+      is_closed: hours.length === 0,
+      hours,
+      special: day.special,
+      closures: day.closures,
+      message: day.message
     };
-    
-    app.log.info('Returning opening hours result:', result);
-    return result;
   } catch (error) {
     app.log.error('Error fetching opening hours:', error);
     // Return a fallback response instead of throwing
@@ -649,6 +1128,39 @@ app.get('/api/store/hours', async (req, reply) => {
   }
 });
 
+// Resolved opening hours per day (?from=YYYY-MM-DD&to=YYYY-MM-DD, at most 62 days)
+app.get('/api/store/calendar', async (req, reply) => {
+  try {
+    const from = dateParam({ date: req.query.from }, reply);
+    if (reply.sent) return;
+    const to = dateParam({ date: req.query.to }, reply);
+    if (reply.sent) return;
+
+    const start = from || storeClock().date;
+    const end = to || addDays(start, 6);
+    if (end < start || addDays(start, 61) < end) {
+      reply.code(400).send({ error: 'to must be on or after from and at most 62 days later' });
+      return;
+    }
+
+    const days = await resolveCalendar(start, end);
+    return {
+      days: days.map(day => ({
+        date: day.date,
+        dayOfWeek: day.dayOfWeek,
+        special: day.special,
+        closedAllDay: day.closedAllDay,
+        hours: day.periods.map(entry => ({ open: entry.open, close: entry.close })),
+        closures: day.closures,
+        message: day.message
+      }))
+    };
+  } catch (error) {
+    app.log.error('Error fetching store calendar:', error);
+    reply.code(500).send({ error: 'Failed to fetch store calendar' });
+  }
+});
+
 // Get discount rules endpoint
 app.get('/api/discounts', async (req, reply) => {
   try {
@@ -667,20 +1179,47 @@ app.get('/api/discounts', async (req, reply) => {
   }
 });
 
-
-// Get holidays endpoint
-app.get('/api/store/holidays', async (req, reply) => {
+// Preview which discounts a cart would get
+app.post('/api/discounts/evaluate', { preHandler: optionalAuth }, async (req, reply) => {
   try {
-    const { data, error } = await supabase
-      .from('store_holidays')
-      .select('*')
-      .gte('holiday_date', new Date().toISOString().split('T')[0])
-      .order('holiday_date');
+    const { cartId, mode = 'collection' } = req.body || {};
+    let { cartItems } = req.body || {};
+
+    if (cartId) {
+      cartItems = await getCheckoutItems(cartId, { userId: req.user?.id || null });
+      if (!cartItems) {
+        reply.code(404).send({ error: 'Cart not found' });
+        return;
+      }
+    }
 
-    if (error) throw error;
+    if (!Array.isArray(cartItems)) {
+      reply.code(400).send({ error: 'cartId or cartItems required' });
+      return;
+    }
 
-    return data;
-  } catch (error) {
+    const { lines, invalidItems } = await priceCartItems(cartItems);
+    if (invalidItems.length > 0) {
+      reply.code(400).send({ error: 'Invalid cart items', invalidItems });
+      return;
+    }
+
+    const subtotalPence = lines.reduce((sum, line) => sum + line.totalPricePence, 0);
+    const evaluation = await applyDiscounts({ lines, mode });
+
+    return { subtotalPence, mode, ...evaluation };
+  } catch (error) {
+    app.log.error('Error evaluating discounts:', error);
+    reply.code(500).send({ error: 'Failed to evaluate discounts' });
+  }
+});
+
+
+// Get holidays endpoint: closures and special hours from today on, including annual ones
+app.get('/api/store/holidays', async (req, reply) => {
+  try {
+    return await listExceptions({ from: storeClock().date });
+  } catch (error) {
     app.log.error('Error fetching holidays:', error);
     reply.code(500).send({ error: 'Failed to fetch holidays' });
   }
@@ -756,13 +1295,13 @@ app.post('/api/auth/register', async (req, reply) => {
         street_name: streetName,
         city
       })
-      .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city')
+      .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city, role')
       .single();
 
     if (createError) throw createError;
 
     // Generate token
-    const token = generateToken(user.id);
+    const token = generateToken(user.id, user.role);
 
     return {
       success: true,
@@ -781,63 +1320,14 @@ app.post('/api/auth/register', async (req, reply) => {
 // Check if store is open endpoint
 app.get('/api/store/is-open', async (req, reply) => {
   try {
-    // Use UK timezone for store operations
     const now = new Date();
-    const ukTime = new Date(now.toLocaleString("en-US", {timeZone: "Europe/London"}));
-    const dayOfWeek = ukTime.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    const currentTime = ukTime.toTimeString().slice(0, 5); // HH:MM format
-    const currentDate = ukTime.toISOString().split('T')[0];
-
-    // Check if today is a holiday
-    const { data: holidays, error: holidayError } = await supabase
-      .from('store_holidays')
-      .select('*')
-      .eq('holiday_date', currentDate);
-
-    if (holidayError) throw holidayError;
-
-    if (holidays && holidays.length > 0) {
-      const holiday = holidays[0];
-      const isInHolidayTime = currentTime >= holiday.start_time && currentTime <= holiday.end_time;
-      return { 
-        isOpen: !isInHolidayTime, 
-        reason: isInHolidayTime ? 'Holiday' : 'Open during holiday period'
-      };
-    }
-
-    // Check opening hours for today
-    const { data: hours, error: hoursError } = await supabase
-      .from('store_opening_hours')
-      .select('*')
-      .eq('day_of_week', dayOfWeek)
-      .order('open_time');
-
-    if (hoursError) throw hoursError;
-
-    if (!hours || hours.length === 0) {
-      return { isOpen: false, reason: 'No opening hours set' };
-    }
-
-    // Check if any time slot is currently open
-    const isCurrentlyOpen = hours.some(slot => {
-      if (slot.is_closed) return false;
-      
-      const openTime = slot.open_time;
-      const closeTime = slot.close_time;
-      
-      // Handle overnight hours (e.g., 16:00-00:00)
-      if (closeTime < openTime) {
-        return currentTime >= openTime || currentTime <= closeTime;
-      } else {
-        return currentTime >= openTime && currentTime <= closeTime;
-      }
-    });
+    const clock = storeClock(now);
+    const status = await isOpenAt(now);
 
-    return { 
-      isOpen: isCurrentlyOpen, 
-      reason: isCurrentlyOpen ? 'Open' : 'Outside opening hours',
-      currentTime,
-      dayOfWeek
+    return {
+      ...status,
+      currentTime: clock.time,
+      dayOfWeek: clock.dayOfWeek
     };
   } catch (error) {
     app.log.error('Error checking store status:', error);
@@ -845,198 +1335,77 @@ app.get('/api/store/is-open', async (req, reply) => {
   }
 });
 
+// A ?date=YYYY-MM-DD query parameter (or empty); anything else is a 400
+function dateParam(query, reply) {
+  const { date } = query;
+  const valid = /^\d{4}-\d{2}-\d{2}$/.test(date || '') && !Number.isNaN(Date.parse(date)) &&
+    new Date(date).toISOString().slice(0, 10) === date;
+  if (date && !valid) {
+    reply.code(400).send({ error: 'date must be YYYY-MM-DD' });
+    return null;
+  }
+  return date || null;
+}
+
+// Size of the order being planned (?items=N), so slots without room for it show as full
+function slotItems(query) {
+  const items = parseInt(query.items, 10);
+  return Number.isInteger(items) && items > 0 ? items : 0;
+}
+
+// A slot limit from a request body: a whole number, or null for unlimited
+function isSlotLimit(value) {
+  return value === null || value === undefined || (Number.isInteger(value) && value >= 0);
+}
+
+function sendSlots(reply, result) {
+  if (result.notFound) {
+    reply.code(404).send({ error: 'Store not found' });
+    return;
+  }
+  return {
+    ...result,
+    availableTimes: result.slots.filter(slot => slot.available).map(slot => slot.time)
+  };
+}
+
 // Get available collection times endpoint
 app.get('/api/store/collection-times', async (req, reply) => {
   try {
-    const { date } = req.query;
-    // Use UK timezone for store operations
-    const now = new Date();
-    const ukTime = new Date(now.toLocaleString("en-US", {timeZone: "Europe/London"}));
-    const targetDate = date || ukTime.toISOString().split('T')[0];
-    
-    // Get store config for lead time and buffer
-    const { data: storeConfig, error: configError } = await supabase
-      .from('store_config')
-      .select('collection_lead_time_minutes, collection_buffer_before_close_minutes')
-      .eq('id', 'default')
-      .single();
-
-    if (configError) throw configError;
-
-    const leadTimeMinutes = storeConfig.collection_lead_time_minutes || 15;
-    const bufferMinutes = storeConfig.collection_buffer_before_close_minutes || 15;
-    
-    // Get opening hours for the target date
-    const targetDay = new Date(targetDate).getDay();
-    const { data: hours, error: hoursError } = await supabase
-      .from('store_opening_hours')
-      .select('*')
-      .eq('day_of_week', targetDay)
-      .order('open_time');
-
-    if (hoursError) throw hoursError;
-
-    if (!hours || hours.length === 0) {
-      return { availableTimes: [], reason: 'Closed on this day' };
-    }
-
-    // Check if it's a holiday
-    const { data: holidays, error: holidayError } = await supabase
-      .from('store_holidays')
-      .select('*')
-      .eq('holiday_date', targetDate);
-
-    if (holidayError) throw holidayError;
-
-    const availableTimes = [];
-    const isToday = targetDate === ukTime.toISOString().split('T')[0];
-    const currentTime = ukTime.toTimeString().slice(0, 5);
-
-    hours.forEach(slot => {
-      if (slot.is_closed) return;
-
-      let startTime = slot.open_time;
-      let endTime = slot.close_time;
-
-      // If it's today, adjust start time based on lead time
-      if (isToday) {
-        const leadTimeDate = new Date(ukTime);
-        leadTimeDate.setMinutes(leadTimeDate.getMinutes() + leadTimeMinutes);
-        const leadTimeStr = leadTimeDate.toTimeString().slice(0, 5);
-        
-        if (leadTimeStr > startTime) {
-          startTime = leadTimeStr;
-        }
-      }
-
-      // Adjust end time based on buffer
-      const endTimeDate = new Date(`2000-01-01T${endTime}:00`);
-      endTimeDate.setMinutes(endTimeDate.getMinutes() - bufferMinutes);
-      const adjustedEndTime = endTimeDate.toTimeString().slice(0, 5);
-
-      // Generate 15-minute intervals
-      let currentSlot = new Date(`2000-01-01T${startTime}:00`);
-      const endSlot = new Date(`2000-01-01T${adjustedEndTime}:00`);
-
-      while (currentSlot < endSlot) {
-        const timeStr = currentSlot.toTimeString().slice(0, 5);
-        
-        // Check if this time is within holiday period
-        const isHolidayTime = holidays && holidays.some(holiday => 
-          timeStr >= holiday.start_time && timeStr <= holiday.end_time
-        );
-
-        if (!isHolidayTime) {
-          availableTimes.push(timeStr);
-        }
-
-        currentSlot.setMinutes(currentSlot.getMinutes() + 15);
-      }
+    const date = dateParam(req.query, reply);
+    if (reply.sent) return;
+
+    const result = await getSlots({
+      mode: 'collection',
+      date,
+      store: req.query.storeId || 'default',
+      items: slotItems(req.query)
     });
-
-    return { availableTimes };
+    return sendSlots(reply, result);
   } catch (error) {
     app.log.error('Error getting collection times:', error);
     reply.code(500).send({ error: 'Failed to get collection times' });
   }
 });
 
-// Get available delivery times endpoint
+// Get available delivery times endpoint; with a postcode, the zone's extra lead time applies
 app.get('/api/store/delivery-times', async (req, reply) => {
   try {
-    const { date, postcode } = req.query;
-    
-    if (!postcode) {
-      reply.code(400).send({ error: 'Postcode is required for delivery times' });
-      return;
-    }
-
-    // Use UK timezone for store operations
-    const now = new Date();
-    const ukTime = new Date(now.toLocaleString("en-US", {timeZone: "Europe/London"}));
-    const targetDate = date || ukTime.toISOString().split('T')[0];
-    
-    // Get store config for delivery settings
-    const { data: storeConfig, error: configError } = await supabase
-      .from('store_config')
-      .select('delivery_lead_time_minutes, delivery_buffer_before_close_minutes')
-      .eq('id', 'default')
-      .single();
-
-    if (configError) throw configError;
-
-    const leadTimeMinutes = storeConfig.delivery_lead_time_minutes || 45;
-    const bufferMinutes = storeConfig.delivery_buffer_before_close_minutes || 15;
-    
-    // Get opening hours for the target date
-    const targetDay = new Date(targetDate).getDay();
-    const { data: hours, error: hoursError } = await supabase
-      .from('store_opening_hours')
-      .select('*')
-      .eq('day_of_week', targetDay)
-      .order('open_time');
-
-    if (hoursError) throw hoursError;
-
-    if (!hours || hours.length === 0) {
-      return { availableTimes: [], reason: 'Closed on this day' };
-    }
-
-    // Check if it's a holiday
-    const { data: holidays, error: holidayError } = await supabase
-      .from('store_holidays')
-      .select('*')
-      .eq('holiday_date', targetDate);
-
-    if (holidayError) throw holidayError;
-
-    const availableTimes = [];
-    const isToday = targetDate === ukTime.toISOString().split('T')[0];
-    const currentTime = ukTime.toTimeString().slice(0, 5);
-
-    hours.forEach(slot => {
-      if (slot.is_closed) return;
-
-      let startTime = slot.open_time;
-      let endTime = slot.close_time;
-
-      // If it's today, adjust start time based on lead time
-      if (isToday) {
-        const leadTimeDate = new Date(ukTime);
-        leadTimeDate.setMinutes(leadTimeDate.getMinutes() + leadTimeMinutes);
-        const leadTimeStr = leadTimeDate.toTimeString().slice(0, 5);
-        
-        if (leadTimeStr > startTime) {
-          startTime = leadTimeStr;
-        }
+    const date = dateParam(req.query, reply);
+    if (reply.sent) return;
+
+    const { postcode, address, storeId = 'default' } = req.query;
+    let zone = null;
+    if (postcode) {
+      const quote = await quoteDelivery({ mode: 'delivery', postcode, address, subtotalPence: 0, store: storeId });
+      if (!quote.isDeliverable) {
+        return { mode: 'delivery', date, slots: [], availableTimes: [], reason: 'not_deliverable', deliveryReason: quote.reason };
       }
+      zone = deliveryZone(quote);
+    }
 
-      // Adjust end time based on buffer
-      const endTimeDate = new Date(`2000-01-01T${endTime}:00`);
-      endTimeDate.setMinutes(endTimeDate.getMinutes() - bufferMinutes);
-      const adjustedEndTime = endTimeDate.toTimeString().slice(0, 5);
-
-      // Generate 15-minute intervals
-      let currentSlot = new Date(`2000-01-01T${startTime}:00`);
-      const endSlot = new Date(`2000-01-01T${adjustedEndTime}:00`);
-
-      while (currentSlot < endSlot) {
-        const timeStr = currentSlot.toTimeString().slice(0, 5);
-        
-        // Check if this time is within holiday period
-        const isHolidayTime = holidays && holidays.some(holiday => 
-          timeStr >= holiday.start_time && timeStr <= holiday.end_time
-        );
-
-        if (!isHolidayTime) {
-          availableTimes.push(timeStr);
-        }
-
-        currentSlot.setMinutes(currentSlot.getMinutes() + 15);
-      }
-    });
-
-    return { availableTimes };
+    const result = await getSlots({ mode: 'delivery', date, store: storeId, zone, items: slotItems(req.query) });
+    return sendSlots(reply, result);
   } catch (error) {
     app.log.error('Error getting delivery times:', error);
     reply.code(500).send({ error: 'Failed to get delivery times' });
@@ -1096,6 +1465,7 @@ app.get('/api/orders/:orderId', async (req, reply) => {
       total: order.total_pence / 100,
       orderStatus: order.status,
       comment: order.comment,
+      requestedTime: order.requested_time, // null = as soon as possible
       timePlaced: order.time_placed,
       createdAt: order.created_at
     };
@@ -1108,34 +1478,134 @@ app.get('/api/orders/:orderId', async (req, reply) => {
 });
 
 // Update order status endpoint
-app.patch('/api/orders/:orderId/status', async (req, reply) => {
+app.patch('/api/orders/:orderId/status', { preHandler: requireRole('staff', { verifyWithDatabase: true }) }, async (req, reply) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason = null, etaMinutes = null } = req.body || {};
 
-    if (!status || !['processing', 'pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled', 'complete'].includes(status)) {
+    if (!status || !ORDER_STATUSES.includes(status)) {
       reply.code(400).send({ error: 'Invalid status' });
       return;
     }
 
-    const { data, error } = await supabase
+    const result = await transitionOrder({
+      orderId,
+      toStatus: status,
+      actor: req.user.email || 'staff',
+      actorUserId: req.user.id,
+      reason
+    });
+
+    if (result.notFound) {
+      reply.code(404).send({ error: 'Order not found' });
+      return;
+    }
+
+    if (result.invalid) {
+      reply.code(409).send({
+        error: `Cannot change order from ${result.currentStatus} to ${status}`,
+        currentStatus: result.currentStatus,
+        allowedNextStatuses: result.allowed
+      });
+      return;
+    }
+
+    // Cancelled orders give their promo code redemption, daily stock and slot back.
+    // The cancellation already stands, so a failed release is logged and retried
+    // by the sweep below or POST /api/admin/orders/:orderId/release-holds.
+    let holdsReleased = null;
+    if (status === 'cancelled') {
+      const release = await releaseCancelledOrder(orderId);
+      release.errors.forEach(releaseError => app.log.error(`Release error for cancelled order ${orderId}:`, releaseError));
+      holdsReleased = release.released;
+      invalidateMenu();
+    }
+
+    // Let the customer know; a failed email never blocks the status change
+    let notification = { sent: false, skipped: null };
+    try {
+      notification = await notifyStatusChange(result.order, status, { reason, etaMinutes });
+    } catch (notifyError) {
+      app.log.error('Status notification error:', notifyError);
+    }
+
+    return { success: true, order: result.order, notification, holdsReleased };
+  } catch (error) {
+    app.log.error('Error updating order status:', error);
+    reply.code(500).send({ error: 'Failed to update order status' });
+  }
+});
+
+// Retry giving back a cancelled order's promo code redemption, daily stock and slot
+app.post('/api/admin/orders/:orderId/release-holds', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
+  try {
+    const { orderId } = req.params;
+
+    const { data: order, error } = await supabase
       .from('orders')
-      .update({ status, updated_at: new Date().toISOString() })
+      .select('status, holds_released_at')
       .eq('id', orderId)
-      .select()
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
-    return { success: true, order: data };
+    if (!order) {
+      reply.code(404).send({ error: 'Order not found' });
+      return;
+    }
+
+    if (order.status !== 'cancelled') {
+      reply.code(409).send({ error: 'Only cancelled orders release their holds', currentStatus: order.status });
+      return;
+    }
+
+    const release = await releaseCancelledOrder(orderId);
+    invalidateMenu();
+    if (!release.released) {
+      release.errors.forEach(releaseError => app.log.error(`Release error for cancelled order ${orderId}:`, releaseError));
+      reply.code(500).send({ error: 'Failed to release order holds' });
+      return;
+    }
+
+    return { success: true, holdsReleased: true };
   } catch (error) {
-    app.log.error('Error updating order status:', error);
-    reply.code(500).send({ error: 'Failed to update order status' });
+    app.log.error('Error releasing order holds:', error);
+    reply.code(500).send({ error: 'Failed to release order holds' });
+  }
+});
+
+// Get order status timeline endpoint
+app.get('/api/orders/:orderId/timeline', { preHandler: requireRole('staff') }, async (req, reply) => {
+  try {
+    const { orderId } = req.params;
+
+    const { data: order, error: orderError } = await supabase
+      .from('orders')
+      .select('id, mode, status')
+      .eq('id', orderId)
+      .single();
+
+    if (orderError || !order) {
+      reply.code(404).send({ error: 'Order not found' });
+      return;
+    }
+
+    const timeline = await getOrderTimeline(orderId);
+
+    return {
+      orderId,
+      currentStatus: order.status,
+      allowedNextStatuses: allowedNextStatuses(order.mode, order.status),
+      timeline
+    };
+  } catch (error) {
+    app.log.error('Error fetching order timeline:', error);
+    reply.code(500).send({ error: 'Failed to fetch order timeline' });
   }
 });
 
 // Image upload endpoint
-app.post('/api/upload/image', async (req, reply) => {
+app.post('/api/upload/image', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
   try {
     const { itemId, imageData, fileName } = req.body;
     
@@ -1173,6 +1643,7 @@ app.post('/api/upload/image', async (req, reply) => {
       .eq('id', itemId);
 
     if (updateError) throw updateError;
+    invalidateMenu();
 
     return { 
       success: true, 
@@ -1185,6 +1656,437 @@ app.post('/api/upload/image', async (req, reply) => {
   }
 });
 
+// ===== MENU MANAGEMENT ENDPOINTS =====
+
+// Send the result of a menu admin service call
+function sendMenuResult(reply, result, label) {
+  if (result.notFound) {
+    reply.code(404).send({ error: `${label} not found` });
+    return;
+  }
+  if (result.invalid) {
+    const { invalid, ...details } = result;
+    reply.code(400).send({ error: invalid, ...details });
+    return;
+  }
+  if (result.conflict) {
+    reply.code(409).send({ error: result.conflict });
+    return;
+  }
+  return { success: true, ...result };
+}
+
+// Wrap a menu admin handler with the usual error logging; writes drop the cached public menu
+function menuRoute(description, handler) {
+  return async (req, reply) => {
+    try {
+      return await handler(req, reply);
+    } catch (error) {
+      app.log.error(`Error ${description}:`, error);
+      reply.code(500).send({ error: `Failed ${description}` });
+    } finally {
+      if (req.method !== 'GET') invalidateMenu();
+    }
+  };
+}
+
+// Menu, calendar and capacity changes re-check the role, so a demoted account's old token stops working
+const managerOnly = { preHandler: requireRole('manager', { verifyWithDatabase: true }) };
+
+// Full menu for editing, including unavailable (and optionally deleted) items
+app.get('/api/admin/menu', managerOnly, menuRoute('fetching admin menu', async (req) => {
+  return menuAdmin.getAdminMenu({ includeDeleted: req.query.includeDeleted === 'true' });
+}));
+
+// Export the live menu as JSON (default) or CSV (?format=csv)
+app.get('/api/admin/menu/export', managerOnly, menuRoute('exporting menu', async (req, reply) => {
+  const menu = await exportMenu();
+  const date = menu.exportedAt.slice(0, 10);
+
+  if (req.query.format === 'csv') {
+    reply
+      .type('text/csv; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="menu-${date}.csv"`)
+      .send(menuToCsv(menu));
+    return reply;
+  }
+
+  reply.header('Content-Disposition', `attachment; filename="menu-${date}.json"`);
+  return menu;
+}));
+
+// Import a menu: dry run first, then send apply with the planId the dry run returned
+app.post('/api/admin/menu/import', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, menuRoute('importing menu', async (req, reply) => {
+  const { format = 'json', menu, csv, apply = false, planId = null } = req.body || {};
+
+  let doc;
+  if (format === 'csv') {
+    if (typeof csv !== 'string') {
+      reply.code(400).send({ error: 'csv must contain the CSV text' });
+      return;
+    }
+    try {
+      doc = csvToMenu(csv);
+    } catch (parseError) {
+      reply.code(400).send({ error: parseError.message });
+      return;
+    }
+  } else {
+    doc = menu;
+  }
+
+  const result = await importMenu(doc, { apply: apply === true, planId });
+  if (result.stale) {
+    reply.code(409).send({
+      error: 'The menu or file has changed since the dry run; review the new plan and apply it instead',
+      plan: result.plan
+    });
+    return;
+  }
+  return sendMenuResult(reply, result, 'Menu');
+}));
+
+// Categories
+app.post('/api/admin/categories', managerOnly, menuRoute('creating category', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.createCategory(req.body || {}), 'Category');
+}));
+
+app.post('/api/admin/categories/reorder', managerOnly, menuRoute('reordering categories', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.reorder('categories', req.body?.ids), 'Category');
+}));
+
+app.patch('/api/admin/categories/:id', managerOnly, menuRoute('updating category', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.updateCategory(req.params.id, req.body || {}), 'Category');
+}));
+
+app.delete('/api/admin/categories/:id', managerOnly, menuRoute('deleting category', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.deleteCategory(req.params.id), 'Category');
+}));
+
+app.post('/api/admin/categories/:id/items/reorder', managerOnly, menuRoute('reordering items', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.reorder('items', req.body?.ids, req.params.id), 'Category');
+}));
+
+// Menu items
+app.post('/api/admin/items', managerOnly, menuRoute('creating menu item', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.createItem(req.body || {}), 'Item');
+}));
+
+// Bulk availability; kitchen staff can take items off and put them back
+app.post('/api/admin/items/availability', { preHandler: requireRole('staff') }, menuRoute('updating item availability', async (req, reply) => {
+  const { itemIds, categoryId, available } = req.body || {};
+  return sendMenuResult(reply, await menuAdmin.setItemsAvailability({ itemIds, categoryId, available }), 'Item');
+}));
+
+// "86" an item until the end of today's trading ({ soldOut: true }) or put it back on
+app.post('/api/admin/items/:id/sold-out', { preHandler: requireRole('staff') }, menuRoute('updating sold-out status', async (req, reply) => {
+  const { soldOut = true } = req.body || {};
+  return sendMenuResult(reply, await setSoldOut(req.params.id, soldOut === true), 'Item');
+}));
+
+app.patch('/api/admin/items/:id', managerOnly, menuRoute('updating menu item', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.updateItem(req.params.id, req.body || {}), 'Item');
+}));
+
+app.delete('/api/admin/items/:id', managerOnly, menuRoute('deleting menu item', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.deleteItem(req.params.id), 'Item');
+}));
+
+app.post('/api/admin/items/:id/restore', managerOnly, menuRoute('restoring menu item', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.restoreItem(req.params.id), 'Deleted item');
+}));
+
+// Options
+app.post('/api/admin/items/:id/options', managerOnly, menuRoute('creating option', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.createOption(req.params.id, req.body || {}), 'Item');
+}));
+
+app.post('/api/admin/items/:id/options/reorder', managerOnly, menuRoute('reordering options', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.reorder('options', req.body?.ids, req.params.id), 'Item');
+}));
+
+app.patch('/api/admin/options/:id', managerOnly, menuRoute('updating option', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.updateOption(req.params.id, req.body || {}), 'Option');
+}));
+
+app.delete('/api/admin/options/:id', managerOnly, menuRoute('deleting option', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.deleteOption(req.params.id), 'Option');
+}));
+
+// Choices
+app.post('/api/admin/options/:id/choices', managerOnly, menuRoute('creating choice', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.createChoice(req.params.id, req.body || {}), 'Option');
+}));
+
+app.post('/api/admin/options/:id/choices/reorder', managerOnly, menuRoute('reordering choices', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.reorder('choices', req.body?.ids, req.params.id), 'Option');
+}));
+
+app.patch('/api/admin/choices/:id', managerOnly, menuRoute('updating choice', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.updateChoice(req.params.id, req.body || {}), 'Choice');
+}));
+
+app.delete('/api/admin/choices/:id', managerOnly, menuRoute('deleting choice', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.deleteChoice(req.params.id), 'Choice');
+}));
+
+// Conditional options
+app.post('/api/admin/items/:id/conditionals', managerOnly, menuRoute('creating conditional option', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.createConditional(req.params.id, req.body || {}), 'Item');
+}));
+
+app.delete('/api/admin/conditionals/:id', managerOnly, menuRoute('deleting conditional option', async (req, reply) => {
+  return sendMenuResult(reply, await menuAdmin.deleteConditional(req.params.id), 'Conditional option');
+}));
+
+// List outbox emails by status (dead-lettered by default)
+app.get('/api/admin/email-outbox', managerOnly, async (req, reply) => {
+  try {
+    const { status = 'dead', limit = 50 } = req.query;
+
+    if (!['pending', 'sending', 'sent', 'dead'].includes(status)) {
+      reply.code(400).send({ error: 'Invalid status' });
+      return;
+    }
+
+    const messages = await listOutboxMessages({ status, limit: Math.min(parseInt(limit) || 50, 200) });
+    return { success: true, messages };
+  } catch (error) {
+    app.log.error('Error listing email outbox:', error);
+    reply.code(500).send({ error: 'Failed to list email outbox' });
+  }
+});
+
+// Queue an outbox email to be sent again
+app.post('/api/admin/email-outbox/:id/resend', { preHandler: requireRole('manager', { verifyWithDatabase: true }) }, async (req, reply) => {
+  try {
+    const requeued = await requeueOutboxMessage(req.params.id);
+    if (!requeued) {
+      reply.code(404).send({ error: 'No failed or sent message with that id' });
+      return;
+    }
+    return { success: true, message: 'Email queued for resending' };
+  } catch (error) {
+    app.log.error('Error resending email:', error);
+    reply.code(500).send({ error: 'Failed to resend email' });
+  }
+});
+
+function sendExceptionResult(reply, result) {
+  if (result.notFound) {
+    reply.code(404).send({ error: 'Closure or special hours not found' });
+    return;
+  }
+  if (result.invalid) {
+    reply.code(400).send({ error: 'Invalid closure or special hours', details: result.invalid });
+    return;
+  }
+  return { success: true, ...result };
+}
+
+// Closures and special opening hours (store_holidays), past and future
+app.get('/api/admin/holidays', managerOnly, async (req, reply) => {
+  try {
+    const from = dateParam({ date: req.query.from }, reply);
+    if (reply.sent) return;
+
+    const exceptions = await listExceptions({ from });
+    return { success: true, exceptions };
+  } catch (error) {
+    app.log.error('Error listing holidays:', error);
+    reply.code(500).send({ error: 'Failed to list holidays' });
+  }
+});
+
+// Add a closure or special hours { kind, name, startDate, endDate, startTime, endTime, recursAnnually, message }
+app.post('/api/admin/holidays', managerOnly, async (req, reply) => {
+  try {
+    const result = await createException(req.body || {});
+    if (result.exception) reply.code(201);
+    return sendExceptionResult(reply, result);
+  } catch (error) {
+    app.log.error('Error creating holiday:', error);
+    reply.code(500).send({ error: 'Failed to create holiday' });
+  }
+});
+
+app.patch('/api/admin/holidays/:id', managerOnly, async (req, reply) => {
+  try {
+    return sendExceptionResult(reply, await updateException(req.params.id, req.body || {}));
+  } catch (error) {
+    app.log.error('Error updating holiday:', error);
+    reply.code(500).send({ error: 'Failed to update holiday' });
+  }
+});
+
+app.delete('/api/admin/holidays/:id', managerOnly, async (req, reply) => {
+  try {
+    return sendExceptionResult(reply, await deleteException(req.params.id));
+  } catch (error) {
+    app.log.error('Error deleting holiday:', error);
+    reply.code(500).send({ error: 'Failed to delete holiday' });
+  }
+});
+
+// Validate polygon/radius delivery zones and see which one a point falls into.
+// Body: { zones? (default: the saved ones), lat, lng } or { zones?, postcode, address }
+app.post('/api/admin/delivery/zones/preview', managerOnly, async (req, reply) => {
+  try {
+    const { zones = null, lat, lng, postcode = null, address = null, storeId = 'default' } = req.body || {};
+    const hasPoint = lat !== undefined || lng !== undefined;
+    if (hasPoint && !(Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+      reply.code(400).send({ error: 'lat and lng must be numbers' });
+      return;
+    }
+
+    const result = await previewPolygonZones({
+      zones,
+      point: hasPoint ? { lat, lng } : null,
+      postcode,
+      address,
+      store: storeId
+    });
+    if (result.invalid) {
+      reply.code(400).send({ error: result.invalid, errors: result.errors });
+      return;
+    }
+    return { success: true, valid: result.errors.length === 0, ...result };
+  } catch (error) {
+    app.log.error('Error previewing delivery zones:', error);
+    reply.code(500).send({ error: 'Failed to preview delivery zones' });
+  }
+});
+
+// Save polygon/radius delivery zones { zones, storeId }; invalid zones are refused
+app.put('/api/admin/delivery/zones', managerOnly, async (req, reply) => {
+  try {
+    const { zones, storeId = 'default' } = req.body || {};
+    const result = await savePolygonZones({ zones, store: storeId });
+    if (result.invalid) {
+      reply.code(400).send({ error: 'Invalid delivery zones', errors: result.invalid });
+      return;
+    }
+    if (result.notFound) {
+      reply.code(404).send({ error: 'Store not found' });
+      return;
+    }
+    return { success: true, rules: result.rules };
+  } catch (error) {
+    app.log.error('Error saving delivery zones:', error);
+    reply.code(500).send({ error: 'Failed to save delivery zones' });
+  }
+});
+
+// Geocode/distance cache hit and miss counts since the server started
+app.get('/api/admin/maps/cache-stats', managerOnly, async () => mapCacheStats());
+
+// Kitchen queue: open orders, with pre-orders held back until they are due for release
+app.get('/api/admin/orders', { preHandler: requireRole('staff') }, async (req, reply) => {
+  try {
+    const { queue, scheduled, releaseMinutes } = await listKitchenOrders({ store: req.query.storeId || 'default' });
+    return { success: true, queue, scheduled, releaseMinutes };
+  } catch (error) {
+    app.log.error('Error listing kitchen orders:', error);
+    reply.code(500).send({ error: 'Failed to list orders' });
+  }
+});
+
+// Per-day slot capacity overrides (?from=YYYY-MM-DD&to=YYYY-MM-DD)
+app.get('/api/admin/slot-capacity', managerOnly, async (req, reply) => {
+  try {
+    const { from, to, storeId = 'default' } = req.query;
+    const overrides = await listCapacityOverrides({ store: storeId, from, to });
+    return { success: true, overrides };
+  } catch (error) {
+    app.log.error('Error listing slot capacity:', error);
+    reply.code(500).send({ error: 'Failed to list slot capacity' });
+  }
+});
+
+// Set one day's slot capacity for collection or delivery
+app.put('/api/admin/slot-capacity/:date', managerOnly, async (req, reply) => {
+  try {
+    const date = dateParam(req.params, reply);
+    if (reply.sent) return;
+
+    const { mode, maxOrders = null, maxItems = null, note = null, storeId = 'default' } = req.body || {};
+    if (!SLOT_MODES.includes(mode)) {
+      reply.code(400).send({ error: 'mode must be collection or delivery' });
+      return;
+    }
+    if (!isSlotLimit(maxOrders) || !isSlotLimit(maxItems)) {
+      reply.code(400).send({ error: 'maxOrders and maxItems must be whole numbers or null' });
+      return;
+    }
+
+    const override = await setCapacityOverride({ store: storeId, date, mode, maxOrders, maxItems, note });
+    return { success: true, override };
+  } catch (error) {
+    app.log.error('Error setting slot capacity:', error);
+    reply.code(500).send({ error: 'Failed to set slot capacity' });
+  }
+});
+
+// Go back to the store's default capacity for a day (?mode=collection|delivery)
+app.delete('/api/admin/slot-capacity/:date', managerOnly, async (req, reply) => {
+  try {
+    const date = dateParam(req.params, reply);
+    if (reply.sent) return;
+
+    const { mode, storeId = 'default' } = req.query;
+    if (!SLOT_MODES.includes(mode)) {
+      reply.code(400).send({ error: 'mode must be collection or delivery' });
+      return;
+    }
+
+    const deleted = await deleteCapacityOverride({ store: storeId, date, mode });
+    if (!deleted) {
+      reply.code(404).send({ error: 'No capacity override for that day' });
+      return;
+    }
+    return { success: true };
+  } catch (error) {
+    app.log.error('Error deleting slot capacity:', error);
+    reply.code(500).send({ error: 'Failed to delete slot capacity' });
+  }
+});
+
+// Change a user's role (owner only)
+app.put('/api/admin/users/:userId/role', { preHandler: requireRole('owner', { verifyWithDatabase: true }) }, async (req, reply) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      reply.code(400).send({ error: 'Invalid role', validRoles: ROLES });
+      return;
+    }
+
+    if (userId === req.user.id) {
+      reply.code(400).send({ error: 'You cannot change your own role' });
+      return;
+    }
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', userId)
+      .select('id, email, role');
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      reply.code(404).send({ error: 'User not found' });
+      return;
+    }
+
+    return { success: true, user: data[0] };
+  } catch (error) {
+    app.log.error('Error changing user role:', error);
+    reply.code(500).send({ error: 'Failed to change user role' });
+  }
+});
+
 // ===== USER AUTHENTICATION ENDPOINTS =====
 
 // User login endpoint
@@ -1222,7 +2124,7 @@ app.post('/api/auth/login', async (req, reply) => {
       .eq('id', user.id);
     
     // Generate JWT token
-    const token = generateToken(user.id);
+    const token = generateToken(user.id, user.role);
     
     // Return user data and token
     return {
@@ -1237,7 +2139,8 @@ app.post('/api/auth/login', async (req, reply) => {
         postcode: user.postcode,
         address: user.address,
         streetName: user.street_name,
-        city: user.city
+        city: user.city,
+        role: user.role
       }
     };
   } catch (error) {
@@ -1249,7 +2152,7 @@ app.post('/api/auth/login', async (req, reply) => {
 // Forgot password endpoint
 app.post('/api/auth/forgot-password', async (req, reply) => {
   try {
-    const { email } = req.body;
+    const { email, language = null } = req.body;
     
     if (!email) {
       return reply.code(400).send({ error: 'Email is required' });
@@ -1287,7 +2190,8 @@ app.post('/api/auth/forgot-password', async (req, reply) => {
       await emailService.sendPasswordResetEmail({
         email: user.email,
         firstName: user.first_name,
-        resetToken
+        resetToken,
+        language
       });
     } catch (emailError) {
       app.log.error('Password reset email error:', emailError);
@@ -1362,7 +2266,8 @@ app.get('/api/auth/me', { preHandler: authenticateUser }, async (req, reply) =>
       postcode: req.user.postcode,
       address: req.user.address,
       streetName: req.user.street_name,
-      city: req.user.city
+      city: req.user.city,
+      role: req.user.role
     }
   };
 });
@@ -1380,7 +2285,8 @@ app.get('/api/auth/profile', { preHandler: authenticateUser }, async (req, reply
       postcode: req.user.postcode,
       address: req.user.address,
       streetName: req.user.street_name,
-      city: req.user.city
+      city: req.user.city,
+      role: req.user.role
     }
   };
 });
@@ -1404,6 +2310,7 @@ app.get('/api/auth/order-history', { preHandler: authenticateUser }, async (req,
         payment_method,
         status,
         comment,
+        requested_time,
         time_placed,
         created_at,
         order_items (
@@ -0,0 +1,75 @@
+// The 14 allergens UK food law requires businesses to declare
+export const UK_ALLERGENS = [
+  'celery',
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'lupin',
+  'milk',
+  'molluscs',
+  'mustard',
+  'tree_nuts',
+  'peanuts',
+  'sesame',
+  'soya',
+  'sulphites'
+];
+
+export const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten_free'];
+
+// Spicy level 0 (not spicy) to 3 (very hot)
+export const MAX_SPICY_LEVEL = 3;
+
+const ALLERGEN_LABELS = {
+  en: {
+    celery: 'Celery',
+    gluten: 'Cereals containing gluten',
+    crustaceans: 'Crustaceans',
+    eggs: 'Eggs',
+    fish: 'Fish',
+    lupin: 'Lupin',
+    milk: 'Milk',
+    molluscs: 'Molluscs',
+    mustard: 'Mustard',
+    tree_nuts: 'Tree nuts',
+    peanuts: 'Peanuts',
+    sesame: 'Sesame',
+    soya: 'Soya',
+    sulphites: 'Sulphur dioxide and sulphites'
+  },
+  zh: {
+    celery: '芹菜',
+    gluten: '含麸质谷物',
+    crustaceans: '甲壳类',
+    eggs: '蛋类',
+    fish: '鱼类',
+    lupin: '羽扇豆',
+    milk: '奶类',
+    molluscs: '软体动物',
+    mustard: '芥末',
+    tree_nuts: '坚果',
+    peanuts: '花生',
+    sesame: '芝麻',
+    soya: '大豆',
+    sulphites: '二氧化硫及亚硫酸盐'
+  }
+};
+
+export function allergenLabel(code, language = 'en') {
+  const labels = ALLERGEN_LABELS[(language || 'en').slice(0, 2)] || ALLERGEN_LABELS.en;
+  return labels[code] || ALLERGEN_LABELS.en[code] || code;
+}
+
+// Returns the codes in a list that are not known allergens
+export function unknownAllergens(codes) {
+  return codes.filter(code => !UK_ALLERGENS.includes(code));
+}
+
+// Allergens in a priced line: the item's own plus any its chosen modifiers add
+export function lineAllergens(line) {
+  return [...new Set([
+    ...(line.allergens || []),
+    ...(line.modifiers || []).flatMap(modifier => modifier.allergens || [])
+  ])];
+}
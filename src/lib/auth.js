@@ -14,9 +14,17 @@ export async function comparePassword(password, hash) {
   return await bcrypt.compare(password, hash);
 }
 
+// User roles, lowest to highest privilege
+export const ROLES = ['customer', 'staff', 'manager', 'owner'];
+
+// Does a role meet the minimum required role?
+export function hasRole(role, minRole) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
 // Generate JWT token
-export function generateToken(userId) {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+export function generateToken(userId, role = 'customer') {
+  return jwt.sign({ userId, role }, JWT_SECRET, { expiresIn: '7d' });
 }
 
 // Verify JWT token
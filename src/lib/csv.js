@@ -0,0 +1,70 @@
+// RFC 4180 CSV: comma separated, fields with commas, quotes or newlines quoted,
+// quotes doubled inside quoted fields. The first row is the header.
+
+function quote(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function stringifyCsv(headers, rows) {
+  const lines = [headers.map(quote).join(',')];
+  rows.forEach(row => lines.push(headers.map(header => quote(row[header])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into objects keyed by the header row. Throws on an unterminated
+ * quoted field. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  // Spreadsheets often save a byte order mark
+  const source = text.replace(/^\uFEFF/, '');
+
+  const endField = () => { record.push(field); field = ''; };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      endRecord();
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (quoted) throw new Error('CSV has an unterminated quoted field');
+  if (field !== '' || record.length > 0) endRecord();
+
+  const [headers = [], ...rows] = records;
+  return rows.map(values => Object.fromEntries(headers.map((header, index) => [header.trim(), values[index] ?? ''])));
+}
@@ -1,152 +1,254 @@
-import { Resend } from 'resend';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { supabase } from './supabase.js';
+import { enqueueEmail } from './outbox.js';
+import { renderTemplate } from './templates.js';
+import { UK_ALLERGENS, allergenLabel } from './allergens.js';
+import { formatStoreTime } from './storeTime.js';
 
-const resend = new Resend(process.env.RESEND_API_KEY);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const TEMPLATE_DIR = path.join(__dirname, '../templates/email');
+const DEFAULT_LANGUAGE = 'en';
+
+// Used when store_config has no branding set
+const DEFAULT_BRANDING = {
+  name: 'China Palace',
+  address: null,
+  logoUrl: null,
+  primaryColor: '#dc2626',
+  fromName: 'China Palace',
+  fromAddress: 'orders@ringorderai.com',
+  language: DEFAULT_LANGUAGE
+};
+
+// Store name, colours, sender and default language from store_config
+async function loadBranding(store) {
+  const { data, error } = await supabase
+    .from('store_config')
+    .select('name, address, brand_logo_url, brand_primary_color, email_from_name, email_from_address, default_language')
+    .eq('id', store)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Branding fetch error:', error);
+  }
+  if (!data) return DEFAULT_BRANDING;
+
+  return {
+    name: data.name || DEFAULT_BRANDING.name,
+    address: data.address || null,
+    logoUrl: data.brand_logo_url || null,
+    primaryColor: data.brand_primary_color || DEFAULT_BRANDING.primaryColor,
+    fromName: data.email_from_name || data.name || DEFAULT_BRANDING.fromName,
+    fromAddress: data.email_from_address || DEFAULT_BRANDING.fromAddress,
+    language: data.default_language || DEFAULT_LANGUAGE
+  };
+}
+
+const fileCache = new Map();
+
+// Built-in template part from src/templates/email/<language>/, or null if missing
+async function readTemplateFile(language, file) {
+  const key = `${language}/${file}`;
+  if (!fileCache.has(key)) {
+    try {
+      fileCache.set(key, await fs.readFile(path.join(TEMPLATE_DIR, language, file), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      fileCache.set(key, null);
+    }
+  }
+  return fileCache.get(key);
+}
+
+/**
+ * Find subject/html/text for a template. A store's rows in email_templates win
+ * (exact language first, then the store's default language); anything they
+ * leave empty comes from the built-in files, falling back to English.
+ */
+async function loadTemplate(store, language, defaultLanguage, name) {
+  const languages = [...new Set([language, defaultLanguage, DEFAULT_LANGUAGE])];
+
+  const { data: overrides, error } = await supabase
+    .from('email_templates')
+    .select('language, subject, html_body, text_body')
+    .eq('store_id', store)
+    .eq('name', name)
+    .in('language', languages);
+
+  if (error) {
+    console.error('Email template override fetch error:', error);
+  }
+
+  const pick = async (column, file) => {
+    for (const lang of languages) {
+      const override = (overrides || []).find(row => row.language === lang);
+      if (override?.[column]) return override[column];
+    }
+    for (const lang of languages) {
+      const builtIn = await readTemplateFile(lang, file);
+      if (builtIn !== null) return builtIn;
+    }
+    return null;
+  };
+
+  return {
+    subject: await pick('subject', `${name}.subject`),
+    html: await pick('html_body', `${name}.html`),
+    text: await pick('text_body', `${name}.txt`)
+  };
+}
+
+/**
+ * Render a named email for a store and language. Values are HTML-escaped in the
+ * HTML part; every message gets a plain-text alternative.
+ */
+export async function renderEmail({ name, data, language = null, store = 'default' }) {
+  const branding = await loadBranding(store);
+  // Language codes also name template directories, so only accept plain codes
+  const lang = /^[a-z]{2}(-[A-Z]{2})?$/.test(language || '') ? language : branding.language;
+
+  const template = await loadTemplate(store, lang, branding.language, name);
+  const layout = await loadTemplate(store, lang, branding.language, 'layout');
+  if (!template.html) {
+    throw new Error(`Email template '${name}' not found`);
+  }
+
+  const context = { ...data, store: branding };
+  const htmlContent = renderTemplate(template.html, context);
+  const textContent = template.text
+    ? renderTemplate(template.text, context, { escape: false })
+    : htmlContent.replace(/<[^>]+>/g, '').replace(/\n\s*\n\s*\n+/g, '\n\n').trim();
+
+  return {
+    from: `${branding.fromName} <${branding.fromAddress}>`,
+    subject: renderTemplate(template.subject || name, context, { escape: false }).trim(),
+    html: layout.html ? renderTemplate(layout.html, { ...context, content: htmlContent }) : htmlContent,
+    text: layout.text
+      ? renderTemplate(layout.text, { ...context, content: textContent.trim() }, { escape: false })
+      : textContent
+  };
+}
+
+// Render and queue a message in the outbox; the worker sends it and retries on failure
+async function queue({ kind, to, orderId = null, ...render }) {
+  try {
+    const message = await renderEmail({ name: kind, ...render });
+    const id = await enqueueEmail({
+      kind,
+      from: message.from,
+      to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      orderId
+    });
+    return { success: true, queued: true, id };
+  } catch (error) {
+    console.error('Email queue error:', error);
+    return { success: false, error };
+  }
+}
+
+function money(pence) {
+  return `£${(pence / 100).toFixed(2)}`;
+}
 
 export const emailService = {
   // Send order confirmation email
   sendOrderConfirmation: async (orderData) => {
-    const { contact, orderId, totalPence, cartItems, mode, subtotalPence, deliveryFeePence, discountPence, comment } = orderData;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Order Confirmation - China Palace</h2>
-        <p>Dear ${contact.name},</p>
-        <p>Thank you for your order! Your order number is: <strong>${orderId}</strong></p>
-        
-        <h3>Order Details:</h3>
-        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
-          <tr style="background-color: #f5f5f5;">
-            <th style="padding: 10px; text-align: left; border: 1px solid #ddd;">Item</th>
-            <th style="padding: 10px; text-align: center; border: 1px solid #ddd;">Qty</th>
-            <th style="padding: 10px; text-align: right; border: 1px solid #ddd;">Price</th>
-            <th style="padding: 10px; text-align: right; border: 1px solid #ddd;">Total</th>
-          </tr>
-          ${cartItems.map(item => `
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd;">${item.name}</td>
-              <td style="padding: 10px; text-align: center; border: 1px solid #ddd;">${item.qty}</td>
-              <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">£${(item.price / 100).toFixed(2)}</td>
-              <td style="padding: 10px; text-align: right; border: 1px solid #ddd;">£${(item.price * item.qty / 100).toFixed(2)}</td>
-            </tr>
-          `).join('')}
-        </table>
-        
-        <div style="text-align: right; margin: 20px 0;">
-          <p><strong>Sub-Total: £${(subtotalPence / 100).toFixed(2)}</strong></p>
-          ${deliveryFeePence > 0 ? `<p><strong>Delivery Fee: £${(deliveryFeePence / 100).toFixed(2)}</strong></p>` : ''}
-          ${discountPence > 0 ? `<p><strong>Discount: -£${(discountPence / 100).toFixed(2)}</strong></p>` : ''}
-          <p style="font-size: 18px;"><strong>Total: £${(totalPence / 100).toFixed(2)}</strong></p>
-        </div>
-        
-        <p><strong>Mode: ${mode === 'delivery' ? 'Delivery' : 'Collection'}</strong></p>
-        ${comment ? `<p><strong>Comment:</strong> ${comment}</p>` : ''}
-        
-        <p>We'll notify you when your order is ready for ${mode === 'delivery' ? 'delivery' : 'collection'}.</p>
-        
-        <p>Best regards,<br>China Palace Team</p>
-      </div>
-    `;
+    const {
+      contact,
+      orderId,
+      totalPence,
+      cartItems,
+      mode,
+      subtotalPence,
+      deliveryFeePence,
+      discountPence,
+      comment,
+      allergens = [],
+      requestedTime = null,
+      language = null,
+      store = 'default'
+    } = orderData;
 
-    try {
-      const { data, error } = await resend.emails.send({
-        from: 'China Palace <orders@ringorderai.com>',
-        to: contact.email,
-        subject: `Order Confirmation - ${orderId}`,
-        html: html,
-      });
-
-      if (error) {
-        console.error('Email send error:', error);
-        return { success: false, error };
-      }
+    // Listed in the standard UK allergen order
+    const allergenList = UK_ALLERGENS
+      .filter(code => allergens.includes(code))
+      .map(code => ({ label: allergenLabel(code, language || DEFAULT_LANGUAGE) }));
 
-      return { success: true, data };
-    } catch (error) {
-      console.error('Email service error:', error);
-      return { success: false, error };
-    }
+    return queue({
+      kind: 'order_confirmation',
+      to: contact.email,
+      orderId,
+      store,
+      language,
+      data: {
+        customerName: contact.name,
+        orderId,
+        items: cartItems.map(item => ({
+          name: item.name,
+          qty: item.qty,
+          unitPrice: money(item.price),
+          lineTotal: money(item.price * item.qty),
+          modifiers: (item.modifiers || []).map(m => ({
+            label: m.optionName ? `${m.optionName}: ${m.name}` : m.name
+          }))
+        })),
+        subtotal: money(subtotalPence),
+        deliveryFee: deliveryFeePence > 0 ? money(deliveryFeePence) : null,
+        discount: discountPence > 0 ? money(discountPence) : null,
+        total: money(totalPence),
+        isDelivery: mode === 'delivery',
+        // null = as soon as possible
+        requestedTime: requestedTime ? formatStoreTime(requestedTime, language || DEFAULT_LANGUAGE) : null,
+        allergens: allergenList,
+        hasAllergens: allergenList.length > 0,
+        comment: comment || null
+      }
+    });
   },
 
   // Send password reset email
-  sendPasswordResetEmail: async ({ email, firstName, resetToken }) => {
+  sendPasswordResetEmail: async ({ email, firstName, resetToken, language = null, store = 'default' }) => {
     const resetUrl = `${process.env.FRONTEND_URL || 'https://site1-front-0822.vercel.app'}/reset-password?token=${resetToken}`;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Password Reset - China Palace</h2>
-        <p>Dear ${firstName},</p>
-        <p>You have requested to reset your password for your China Palace account.</p>
-        
-        <p>Click the button below to reset your password:</p>
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="${resetUrl}" 
-             style="background-color: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">
-            Reset Password
-          </a>
-        </div>
-        
-        <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
-        <p style="word-break: break-all; color: #666;">${resetUrl}</p>
-        
-        <p><strong>This link will expire in 1 hour.</strong></p>
-        
-        <p>If you didn't request this password reset, please ignore this email. Your password will remain unchanged.</p>
-        
-        <p>Best regards,<br>China Palace Team</p>
-      </div>
-    `;
 
-    try {
-      const { data, error } = await resend.emails.send({
-        from: 'China Palace <orders@ringorderai.com>',
-        to: email,
-        subject: 'Password Reset - China Palace',
-        html: html,
-      });
-
-      if (error) {
-        console.error('Password reset email error:', error);
-        return { success: false, error };
-      }
-
-      return { success: true, data };
-    } catch (error) {
-      console.error('Password reset email service error:', error);
-      return { success: false, error };
-    }
+    return queue({
+      kind: 'password_reset',
+      to: email,
+      store,
+      language,
+      data: { firstName, resetUrl }
+    });
   },
 
   // Send order status update
-  sendOrderUpdate: async (orderData, status) => {
-    const { contact, orderId } = orderData;
-    
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2>Order Status Update</h2>
-        <p>Dear ${contact.name},</p>
-        <p>Your order <strong>${orderId}</strong> status has been updated to: <strong>${status}</strong></p>
-        
-        <p>Best regards,<br>Your Takeaway Team</p>
-      </div>
-    `;
+  sendOrderUpdate: async (orderData, status, details = {}) => {
+    const { contact, orderId, mode, language = null, store = 'default' } = orderData;
+    const { etaMinutes = null, reason = null } = details;
+    const known = ['confirmed', 'ready', 'out_for_delivery', 'cancelled'];
 
-    try {
-      const { data, error } = await resend.emails.send({
-        from: 'China Palace <orders@ringorderai.com>',
-        to: contact.email,
-        subject: `Order Update - ${orderId}`,
-        html: html,
-      });
-
-      if (error) {
-        console.error('Email send error:', error);
-        return { success: false, error };
+    return queue({
+      kind: 'order_update',
+      to: contact.email,
+      orderId,
+      store,
+      language,
+      data: {
+        customerName: contact.name,
+        orderId,
+        status,
+        isConfirmed: status === 'confirmed',
+        isReady: status === 'ready',
+        isOutForDelivery: status === 'out_for_delivery',
+        isCancelled: status === 'cancelled',
+        isOther: !known.includes(status),
+        isDelivery: mode === 'delivery',
+        etaMinutes,
+        reason
       }
-
-      return { success: true, data };
-    } catch (error) {
-      console.error('Email service error:', error);
-      return { success: false, error };
-    }
+    });
   }
 };
@@ -0,0 +1,95 @@
+// Plane geometry for delivery zones. Coordinates are GeoJSON order [lng, lat];
+// points passed around the app are { lat, lng }.
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+// Great-circle distance between two { lat, lng } points
+export function haversineMiles(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Ray casting; points on an edge may land either side, which is fine at street scale
+function inRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > point.lat) !== (yj > point.lat) &&
+      point.lng < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside every hole
+function inPolygon(point, rings) {
+  return inRing(point, rings[0]) && !rings.slice(1).some(hole => inRing(point, hole));
+}
+
+/**
+ * Whether a { lat, lng } point lies in a GeoJSON Polygon or MultiPolygon, or
+ * within radiusMiles of a Point.
+ */
+export function containsPoint(geometry, point, radiusMiles = null) {
+  switch (geometry.type) {
+    case 'Point': {
+      const [lng, lat] = geometry.coordinates;
+      return haversineMiles({ lat, lng }, point) <= radiusMiles;
+    }
+    case 'Polygon':
+      return inPolygon(point, geometry.coordinates);
+    case 'MultiPolygon':
+      return geometry.coordinates.some(rings => inPolygon(point, rings));
+    default:
+      return false;
+  }
+}
+
+function isPosition(value) {
+  return Array.isArray(value) && value.length >= 2 &&
+    Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
+
+// Problems with one linear ring: at least four positions, first and last the same
+function ringErrors(ring, label) {
+  if (!Array.isArray(ring) || ring.length < 4) return [`${label} needs at least 4 positions`];
+  if (!ring.every(isPosition)) return [`${label} has a position that is not [lng, lat]`];
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) return [`${label} must end where it starts`];
+  return [];
+}
+
+function polygonErrors(rings, label) {
+  if (!Array.isArray(rings) || rings.length === 0) return [`${label} has no rings`];
+  return rings.flatMap((ring, i) => ringErrors(ring, i === 0 ? `${label} outer ring` : `${label} hole ${i}`));
+}
+
+// Problems with a zone geometry (empty when it is usable)
+export function geometryErrors(geometry, radiusMiles = null) {
+  if (!geometry || typeof geometry !== 'object') return ['geometry is required'];
+
+  switch (geometry.type) {
+    case 'Point':
+      if (!isPosition(geometry.coordinates)) return ['Point coordinates must be [lng, lat]'];
+      if (!(Number(radiusMiles) > 0)) return ['A Point zone needs a radius_miles above 0'];
+      return [];
+    case 'Polygon':
+      return polygonErrors(geometry.coordinates, 'Polygon');
+    case 'MultiPolygon':
+      if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+        return ['MultiPolygon has no polygons'];
+      }
+      return geometry.coordinates.flatMap((rings, i) => polygonErrors(rings, `Polygon ${i + 1}`));
+    default:
+      return ['geometry type must be Point, Polygon or MultiPolygon'];
+  }
+}
@@ -0,0 +1,85 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Resend } from 'resend';
+import nodemailer from 'nodemailer';
+
+// Each transport takes { from, to, subject, html, text } and resolves to
+// { messageId } or throws when the message could not be handed over.
+
+function createResendTransport() {
+  const resend = new Resend(process.env.RESEND_API_KEY);
+
+  return {
+    name: 'resend',
+    send: async ({ from, to, subject, html, text }) => {
+      const { data, error } = await resend.emails.send({ from, to, subject, html, text });
+      if (error) {
+        throw new Error(error.message || 'Resend rejected the message');
+      }
+      return { messageId: data?.id || null };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async ({ from, to, subject, html, text }) => {
+      const info = await transporter.sendMail({ from, to, subject, html, text });
+      return { messageId: info.messageId || null };
+    }
+  };
+}
+
+// Writes each message to MAIL_DIR as JSON plus an .html preview ("mailcatcher")
+function createFileTransport() {
+  const dir = process.env.MAIL_DIR || path.resolve('tmp/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      await fs.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(message, null, 2));
+      await fs.writeFile(path.join(dir, `${messageId}.html`), message.html || '');
+      return { messageId };
+    }
+  };
+}
+
+const factories = {
+  resend: createResendTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport
+};
+
+let transport = null;
+
+// Transport chosen by EMAIL_TRANSPORT (resend | smtp | file), created once
+export function getMailTransport() {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || 'resend';
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown EMAIL_TRANSPORT '${name}'`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+// Replace the transport, e.g. with the file transport in tests
+export function setMailTransport(nextTransport) {
+  transport = nextTransport;
+}
+
+export { createResendTransport, createSmtpTransport, createFileTransport };
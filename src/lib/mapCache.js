@@ -0,0 +1,204 @@
+import { supabase } from './supabase.js';
+import { geocodeToCoord, drivingDistanceMiles } from './mapclient.js';
+
+// Geocodes and driving distances barely change, so the same postcode quoted again
+// (at checkout, or by a regular customer next week) is answered from here.
+const MAP_CACHE_TTL_DAYS = Number(process.env.MAP_CACHE_TTL_DAYS || 30);
+
+function nextExpiry() {
+  return new Date(Date.now() + MAP_CACHE_TTL_DAYS * 86400000).toISOString();
+}
+
+// Upper case, punctuation and extra spaces removed; a bare postcode is keyed the
+// same with or without its space
+export function normalizeMapQuery(query) {
+  const text = String(query).toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+  const compact = text.replace(/ /g, '');
+  return /^[A-Z]{1,2}[0-9][0-9A-Z]?[0-9][A-Z]{2}$/.test(compact) ? compact : text;
+}
+
+// Supabase-backed cache storage (map_cache table)
+export const supabaseMapCacheStore = {
+  get: async (key) => {
+    const { data, error } = await supabase
+      .from('map_cache')
+      .select('cache_key, value, origin_lat, origin_lng, expires_at')
+      .eq('cache_key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  set: async (row) => {
+    const { error } = await supabase
+      .from('map_cache')
+      .upsert(row, { onConflict: 'cache_key' });
+
+    if (error) throw error;
+  },
+
+  deleteStoreRoutes: async (storeId) => {
+    const { data, error } = await supabase
+      .from('map_cache')
+      .delete()
+      .eq('kind', 'route')
+      .eq('store_id', storeId)
+      .select('cache_key');
+
+    if (error) throw error;
+    return data.length;
+  },
+
+  deleteExpired: async (now) => {
+    const { data, error } = await supabase
+      .from('map_cache')
+      .delete()
+      .lt('expires_at', now)
+      .select('cache_key');
+
+    if (error) throw error;
+    return data.length;
+  }
+};
+
+// In-process cache storage for local development and tests
+export function createMemoryMapCacheStore() {
+  const rows = new Map();
+
+  return {
+    get: async (key) => rows.get(key) || null,
+    set: async (row) => {
+      rows.set(row.cache_key, { ...row });
+    },
+    deleteStoreRoutes: async (storeId) => {
+      let count = 0;
+      for (const [key, row] of rows) {
+        if (row.kind === 'route' && row.store_id === storeId) {
+          rows.delete(key);
+          count++;
+        }
+      }
+      return count;
+    },
+    deleteExpired: async (now) => {
+      let count = 0;
+      for (const [key, row] of rows) {
+        if (row.expires_at < now) {
+          rows.delete(key);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+}
+
+let store = process.env.MAP_CACHE_STORE === 'memory' ? createMemoryMapCacheStore() : supabaseMapCacheStore;
+
+// Swap the storage backend, e.g. to a memory store in tests
+export function setMapCacheStore(nextStore) {
+  store = nextStore;
+}
+
+const startedAt = new Date().toISOString();
+const counters = {
+  geocode: { hits: 0, misses: 0 },
+  route: { hits: 0, misses: 0 }
+};
+
+// A cache problem should cost a lookup, not the quote
+async function readEntry(key) {
+  try {
+    const row = await store.get(key);
+    if (row && new Date(row.expires_at) < new Date()) return null;
+    return row;
+  } catch (error) {
+    console.error('Map cache read error:', error);
+    return null;
+  }
+}
+
+async function writeEntry(row) {
+  try {
+    await store.set({ ...row, expires_at: nextExpiry() });
+  } catch (error) {
+    console.error('Map cache write error:', error);
+  }
+}
+
+/**
+ * geocodeToCoord through the cache. Only found places are cached, so a postcode
+ * that fails to geocode today is looked up again next time.
+ */
+export async function cachedGeocode(query, settings = {}) {
+  if (!query) return null;
+  const key = `geocode:${normalizeMapQuery(query)}`;
+
+  const cached = await readEntry(key);
+  if (cached) {
+    counters.geocode.hits++;
+    return cached.value;
+  }
+
+  counters.geocode.misses++;
+  const coord = await geocodeToCoord(query, settings);
+  if (coord) {
+    await writeEntry({ cache_key: key, kind: 'geocode', store_id: null, value: coord });
+  }
+  return coord;
+}
+
+/**
+ * drivingDistanceMiles from the store to a customer through the cache, keyed by
+ * store and the customer's normalised postcode/address. Entries remember the
+ * store location they were measured from and are ignored once it moves.
+ */
+export async function cachedDrivingDistance({ store: storeId = 'default', origin, destination, query, settings = {} }) {
+  const key = `route:${storeId}:${normalizeMapQuery(query)}`;
+
+  const cached = await readEntry(key);
+  if (cached && Number(cached.origin_lat) === Number(origin.lat) && Number(cached.origin_lng) === Number(origin.lng)) {
+    counters.route.hits++;
+    return cached.value.miles;
+  }
+
+  counters.route.misses++;
+  const miles = await drivingDistanceMiles(origin, destination, settings);
+  if (miles !== null) {
+    await writeEntry({
+      cache_key: key,
+      kind: 'route',
+      store_id: storeId,
+      value: { miles },
+      origin_lat: origin.lat,
+      origin_lng: origin.lng
+    });
+  }
+  return miles;
+}
+
+// Forget a store's distances, e.g. after it moves or changes map provider
+export async function invalidateStoreRoutes(storeId) {
+  return store.deleteStoreRoutes(storeId);
+}
+
+// Remove expired entries; returns how many were deleted
+export async function purgeExpiredMapCache() {
+  return store.deleteExpired(new Date().toISOString());
+}
+
+// Hit/miss counts since the process started
+export function mapCacheStats() {
+  const withRate = ({ hits, misses }) => ({
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 1000) / 1000 : null
+  });
+  return {
+    since: startedAt,
+    ttlDays: MAP_CACHE_TTL_DAYS,
+    geocode: withRate(counters.geocode),
+    route: withRate(counters.route)
+  };
+}
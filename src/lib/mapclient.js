@@ -1,46 +1,224 @@
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
 import axios from 'axios';
+import { haversineMiles } from './geometry.js';
 
-const PROVIDER = process.env.MAPS_PROVIDER || "mapbox";
-const MAPBOX_TOKEN = process.env.MAPBOX_TOKEN;
+// Each provider has geocode(query) → { lat, lng } | null and
+// distanceMiles(origin, destination, { roadFactor }) → miles | null, and throws
+// when the service errors or times out so the caller can fall back.
 
-// 地址/邮编 → 经纬度（仅 distance 规则用；postcode 规则不需要）
-async function geocodeToCoord(query) {
-  if (PROVIDER !== "mapbox") {
-    throw new Error("Only 'mapbox' provider implemented for now.");
+export const MAP_PROVIDERS = ["mapbox", "osrm", "offline"];
+
+const DEFAULT_PROVIDER = process.env.MAPS_PROVIDER || "mapbox";
+const DEFAULT_FALLBACK = process.env.MAPS_FALLBACK_PROVIDER || null;
+const TIMEOUT_MS = Number(process.env.MAPS_TIMEOUT_MS || 5000);
+const DEFAULT_ROAD_FACTOR = 1.3;
+const METERS_PER_MILE = 1609.344;
+
+function createMapboxProvider() {
+  const token = process.env.MAPBOX_TOKEN;
+
+  return {
+    name: "mapbox",
+    // 地址/邮编 → 经纬度
+    geocode: async (query) => {
+      const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json`;
+      const res = await axios.get(url, {
+        params: { access_token: token, limit: 1, country: "gb" },
+        timeout: TIMEOUT_MS
+      });
+
+      const f = res.data && res.data.features && res.data.features[0];
+      if (!f) return null;
+
+      const [lng, lat] = f.center;
+      return { lat, lng };
+    },
+    // 驾车距离（英里）
+    distanceMiles: async (origin, destination) => {
+      const url =
+        `https://api.mapbox.com/directions-matrix/v1/mapbox/driving/` +
+        `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+
+      const res = await axios.get(url, {
+        params: { access_token: token, annotations: "distance" },
+        timeout: TIMEOUT_MS
+      });
+
+      const meters = res.data?.distances?.[0]?.[1];
+      if (typeof meters !== "number") return null;
+
+      return meters / METERS_PER_MILE;
+    }
+  };
+}
+
+// Any Nominatim-compatible geocoder plus OSRM-compatible router (self-hosted or public)
+function createOsrmProvider() {
+  const nominatimUrl = (process.env.NOMINATIM_URL || "https://nominatim.openstreetmap.org").replace(/\/$/, "");
+  const osrmUrl = (process.env.OSRM_URL || "https://router.project-osrm.org").replace(/\/$/, "");
+  // The public Nominatim service refuses requests without an identifying User-Agent
+  const headers = { "User-Agent": process.env.NOMINATIM_USER_AGENT || "site1-backend" };
+
+  return {
+    name: "osrm",
+    geocode: async (query) => {
+      const res = await axios.get(`${nominatimUrl}/search`, {
+        params: { q: query, format: "json", limit: 1, countrycodes: "gb" },
+        headers,
+        timeout: TIMEOUT_MS
+      });
+
+      const place = Array.isArray(res.data) ? res.data[0] : null;
+      if (!place) return null;
+
+      return { lat: Number(place.lat), lng: Number(place.lon) };
+    },
+    distanceMiles: async (origin, destination) => {
+      const url =
+        `${osrmUrl}/route/v1/driving/` +
+        `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+
+      const res = await axios.get(url, { params: { overview: "false" }, timeout: TIMEOUT_MS });
+
+      const meters = res.data?.routes?.[0]?.distance;
+      if (res.data?.code !== "Ok" || typeof meters !== "number") return null;
+
+      return meters / METERS_PER_MILE;
+    }
+  };
+}
+
+const POSTCODE_PATTERN = /\b([A-Z]{1,2}[0-9][0-9A-Z]?)\s*([0-9][A-Z]{2})\b/;
+const OUTWARD_PATTERN = /^[A-Z]{1,2}[0-9][0-9A-Z]?$/;
+
+// Column names used by the ONS, Doogal and FreeMapTools postcode downloads
+const COLUMN_NAMES = {
+  postcode: ["postcode", "pcds", "pcd"],
+  lat: ["latitude", "lat"],
+  lng: ["longitude", "long", "lng"]
+};
+
+/**
+ * Loads a UK postcode centroid CSV (header row with postcode, latitude and
+ * longitude columns) into { postcodes, districts }, keyed by the postcode
+ * without spaces and by outward code. District centroids are the mean of their
+ * postcodes and answer postcodes missing from the file (e.g. new builds).
+ */
+async function loadCentroids(file) {
+  const postcodes = new Map();
+  const sums = new Map();
+  const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+
+  let columns = null;
+  for await (const line of lines) {
+    const cells = line.replace(/^\uFEFF/, "").split(",").map(cell => cell.trim().replace(/^"|"$/g, ""));
+    if (!columns) {
+      const header = cells.map(cell => cell.toLowerCase());
+      columns = Object.fromEntries(Object.entries(COLUMN_NAMES).map(([key, names]) =>
+        [key, header.findIndex(cell => names.includes(cell))]
+      ));
+      if (Object.values(columns).some(index => index === -1)) {
+        throw new Error(`${file} needs postcode, latitude and longitude columns`);
+      }
+      continue;
+    }
+
+    const postcode = (cells[columns.postcode] || "").toUpperCase().replace(/\s/g, "");
+    const lat = Number(cells[columns.lat]);
+    const lng = Number(cells[columns.lng]);
+    // ONS marks postcodes without a location as 99.999999 / 0
+    if (postcode.length < 5 || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90) continue;
+
+    postcodes.set(postcode, { lat, lng });
+    const outward = postcode.slice(0, -3);
+    const sum = sums.get(outward) || { lat: 0, lng: 0, count: 0 };
+    sums.set(outward, { lat: sum.lat + lat, lng: sum.lng + lng, count: sum.count + 1 });
   }
-  
-  const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json`;
-  const res = await axios.get(url, {
-    params: { access_token: MAPBOX_TOKEN, limit: 1, country: "gb" },
-    timeout: 5000
-  });
-  
-  const f = res.data && res.data.features && res.data.features[0];
-  if (!f) return null;
-  
-  const [lng, lat] = f.center;
-  return { lat, lng };
+
+  const districts = new Map();
+  sums.forEach((sum, outward) => districts.set(outward, { lat: sum.lat / sum.count, lng: sum.lng / sum.count }));
+  return { postcodes, districts };
 }
 
-// 驾车距离（英里）
-async function drivingDistanceMiles(origin, destination) {
-  if (PROVIDER !== "mapbox") {
-    throw new Error("Only 'mapbox' provider implemented for now.");
+// Postcode centroids from a local file and straight-line distance × road factor; no network
+function createOfflineProvider() {
+  const file = process.env.POSTCODE_CENTROIDS_FILE || path.resolve("data/postcode-centroids.csv");
+  let centroids = null;
+
+  return {
+    name: "offline",
+    geocode: async (query) => {
+      // Loaded once; a failed load is retried on the next call
+      if (!centroids) centroids = loadCentroids(file).catch(error => { centroids = null; throw error; });
+      const { postcodes, districts } = await centroids;
+
+      const text = String(query).toUpperCase();
+      const match = text.match(POSTCODE_PATTERN);
+      if (match) {
+        return postcodes.get(match[1] + match[2]) || districts.get(match[1]) || null;
+      }
+      const outward = text.trim();
+      return OUTWARD_PATTERN.test(outward) ? districts.get(outward) || null : null;
+    },
+    distanceMiles: async (origin, destination, { roadFactor } = {}) =>
+      haversineMiles(origin, destination) * (Number(roadFactor) || DEFAULT_ROAD_FACTOR)
+  };
+}
+
+const factories = {
+  mapbox: createMapboxProvider,
+  osrm: createOsrmProvider,
+  offline: createOfflineProvider
+};
+
+const providers = new Map();
+
+// Provider by name, created once
+export function getMapProvider(name) {
+  if (!providers.has(name)) {
+    const factory = factories[name];
+    if (!factory) {
+      throw new Error(`Unknown map provider '${name}'`);
+    }
+    providers.set(name, factory());
   }
-  
-  const url =
-    `https://api.mapbox.com/directions-matrix/v1/mapbox/driving/` +
-    `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
-  
-  const res = await axios.get(url, {
-    params: { access_token: MAPBOX_TOKEN, annotations: "distance" },
-    timeout: 5000
-  });
-  
-  const meters = res.data?.distances?.[0]?.[1];
-  if (typeof meters !== "number") return null;
-  
-  return meters / 1609.344;
+  return providers.get(name);
+}
+
+// Replace a provider, e.g. with a stub in tests
+export function setMapProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+/**
+ * Runs a lookup on the chosen provider (default MAPS_PROVIDER) and, when it
+ * throws, once more on the fallback (default MAPS_FALLBACK_PROVIDER).
+ * Settings come from the store: { provider, fallback, roadFactor }.
+ */
+async function withFallback(settings, lookup) {
+  const primary = settings.provider || DEFAULT_PROVIDER;
+  const fallback = settings.fallback === undefined || settings.fallback === null ? DEFAULT_FALLBACK : settings.fallback;
+
+  try {
+    return await lookup(getMapProvider(primary));
+  } catch (error) {
+    if (!fallback || fallback === primary) throw error;
+    console.error(`Map provider '${primary}' failed, falling back to '${fallback}':`, error.message);
+    return lookup(getMapProvider(fallback));
+  }
+}
+
+// 地址/邮编 → 经纬度（distance / polygon 规则用；postcode 规则不需要）
+async function geocodeToCoord(query, settings = {}) {
+  if (!query) return null;
+  return withFallback(settings, provider => provider.geocode(query));
+}
+
+// 驾车距离（英里）
+async function drivingDistanceMiles(origin, destination, settings = {}) {
+  return withFallback(settings, provider => provider.distanceMiles(origin, destination, settings));
 }
 
 export { geocodeToCoord, drivingDistanceMiles };
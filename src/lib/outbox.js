@@ -0,0 +1,206 @@
+import { supabase } from './supabase.js';
+import { getMailTransport } from './mailTransports.js';
+
+const MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 6);
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// A message stuck in 'sending' this long belongs to a worker that died mid-send
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+// 30s, 1m, 2m, 4m ... capped at an hour
+export function retryDelayMs(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+/**
+ * Queue an email for the background worker. Returns the outbox row id.
+ */
+export async function enqueueEmail({ kind, from, to, subject, html, text = null, orderId = null }) {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .insert({
+      kind,
+      from_address: from,
+      to_address: to,
+      subject,
+      html,
+      text_body: text,
+      order_id: orderId,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      next_attempt_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return data.id;
+}
+
+// Claim a message so only one worker sends it
+async function claim(message) {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', message.id)
+    .eq('status', message.status)
+    .eq('attempts', message.attempts)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+// Messages that were sent but could not be marked 'sent', by id. This process never
+// claims them again (the stale-sending sweep would otherwise send them twice) and
+// retries saving their status on every run.
+const unsavedSent = new Map();
+
+async function saveStatus(id, changes) {
+  const { error } = await supabase
+    .from('email_outbox')
+    .update(changes)
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+async function deliver(message) {
+  const attempts = message.attempts + 1;
+  const now = new Date();
+
+  let messageId;
+  try {
+    ({ messageId } = await getMailTransport().send({
+      from: message.from_address,
+      to: message.to_address,
+      subject: message.subject,
+      html: message.html,
+      text: message.text_body || undefined
+    }));
+  } catch (error) {
+    const dead = attempts >= message.max_attempts;
+    try {
+      await saveStatus(message.id, {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        last_error: error.message,
+        next_attempt_at: new Date(now.getTime() + retryDelayMs(attempts)).toISOString(),
+        updated_at: now.toISOString()
+      });
+    } catch (saveError) {
+      // Left 'sending', so the stale sweep picks it up again later
+      console.error(`Email ${message.id} failed and its status could not be saved:`, saveError);
+    }
+    return dead ? 'dead' : 'retry';
+  }
+
+  const sent = {
+    status: 'sent',
+    attempts,
+    sent_at: now.toISOString(),
+    provider_message_id: messageId,
+    last_error: null,
+    updated_at: now.toISOString()
+  };
+  try {
+    await saveStatus(message.id, sent);
+  } catch (saveError) {
+    console.error(`Email ${message.id} was sent but could not be marked sent:`, saveError);
+    unsavedSent.set(message.id, sent);
+  }
+  return 'sent';
+}
+
+// Try again to mark messages sent that an earlier run could not
+async function saveUnsavedSent() {
+  for (const [id, sent] of unsavedSent) {
+    try {
+      await saveStatus(id, sent);
+      unsavedSent.delete(id);
+    } catch (saveError) {
+      console.error(`Email ${id} still could not be marked sent:`, saveError);
+    }
+  }
+}
+
+/**
+ * Send due messages once. Returns counts of what happened to each message.
+ */
+export async function processOutbox({ batchSize = 20 } = {}) {
+  await saveUnsavedSent();
+
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_SENDING_MS).toISOString();
+
+  const { data: due, error } = await supabase
+    .from('email_outbox')
+    .select('*')
+    .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.sending,updated_at.lt.${staleBefore})`)
+    .order('next_attempt_at')
+    .limit(batchSize);
+
+  if (error) throw error;
+
+  const counts = { sent: 0, retry: 0, dead: 0 };
+  for (const message of due || []) {
+    if (unsavedSent.has(message.id) || !(await claim(message))) continue;
+    counts[await deliver(message)]++;
+  }
+  return counts;
+}
+
+// Poll the outbox in the background; returns a function that stops the worker
+export function startOutboxWorker({ intervalMs = 15000, logger = console } = {}) {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const counts = await processOutbox();
+      if (counts.sent || counts.retry || counts.dead) {
+        logger.info(`Email outbox: ${counts.sent} sent, ${counts.retry} to retry, ${counts.dead} dead`);
+      }
+    } catch (error) {
+      logger.error('Email outbox error:', error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+// Messages that need attention (dead-lettered by default)
+export async function listOutboxMessages({ status = 'dead', limit = 50 } = {}) {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .select('id, kind, to_address, subject, status, attempts, max_attempts, last_error, order_id, next_attempt_at, sent_at, created_at')
+    .eq('status', status)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Put a message back in the queue with a fresh set of attempts
+export async function requeueOutboxMessage(id) {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .update({
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .in('status', ['dead', 'sent'])
+    .select('id, status');
+
+  if (error) throw error;
+  return data.length > 0;
+}
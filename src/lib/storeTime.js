@@ -0,0 +1,92 @@
+// Wall-clock helpers for the store's time zone (Europe/London, so GMT/BST aware)
+
+export const STORE_TIME_ZONE = 'Europe/London';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-GB', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Local date, time and weekday of an instant in the store's time zone:
+ * { date: 'YYYY-MM-DD', time: 'HH:MM', dayOfWeek: 0-6 (0 = Sunday) }.
+ */
+export function storeClock(now = new Date(), timeZone = STORE_TIME_ZONE) {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(now).forEach(part => { parts[part.type] = part.value; });
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    time: `${parts.hour}:${parts.minute}`,
+    dayOfWeek: new Date(`${date}T00:00:00Z`).getUTCDay()
+  };
+}
+
+// 'YYYY-MM-DD' shifted by a number of days
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Treat a wall-clock date + time as if it were UTC, in milliseconds
+function wallClockMs(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes);
+}
+
+// The instant at which the store's clock shows date + time ('HH:MM')
+export function zonedTime(date, time, timeZone = STORE_TIME_ZONE) {
+  const target = wallClockMs(date, time);
+
+  // Correct by the zone's offset (twice, in case the first guess crossed a clock change)
+  let instant = target;
+  for (let i = 0; i < 2; i++) {
+    const local = storeClock(new Date(instant), timeZone);
+    instant += target - wallClockMs(local.date, local.time);
+  }
+  return new Date(instant);
+}
+
+/**
+ * The trading day an instant belongs to. Days roll over at resetTime rather than
+ * midnight so late-night service counts towards the evening it started.
+ */
+export function businessDate(now = new Date(), resetTime = '04:00') {
+  const clock = storeClock(now);
+  return clock.time < resetTime ? addDays(clock.date, -1) : clock.date;
+}
+
+// When the current trading day ends
+export function nextBusinessDayStart(now = new Date(), resetTime = '04:00') {
+  return zonedTime(addDays(businessDate(now, resetTime), 1), resetTime);
+}
+
+// An instant as customers read it, e.g. 'Fri 24 Oct, 18:30' (en-GB) in the store's time zone
+export function formatStoreTime(instant, language = 'en') {
+  const locale = language.startsWith('zh') ? 'zh-CN' : 'en-GB';
+  return new Intl.DateTimeFormat(locale, {
+    timeZone: STORE_TIME_ZONE,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(new Date(instant));
+}
@@ -0,0 +1,108 @@
+// Minimal mustache-style templates:
+//   {{name}}              value, HTML-escaped when rendering HTML
+//   {{{name}}}            value, never escaped
+//   {{#name}}..{{/name}}  repeat for each element of a list, or render once if truthy
+//   {{^name}}..{{/name}}  render only if missing, false or an empty list
+// Names may be dotted (store.name); "." is the current list element.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+}
+
+const TAG = /\{\{(\{)?\s*([#^/]?)\s*([\w.]+)\s*\}?\}\}/g;
+
+// Section tags on a line of their own should not leave a blank line behind
+const STANDALONE = /^[ \t]*(\{\{\s*[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+function parse(template) {
+  const source = template.replace(STANDALONE, '$1');
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source)) !== null) {
+    const [whole, triple, sigil, name] = match;
+    const parent = stack[stack.length - 1];
+    if (match.index > last) {
+      parent.children.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = match.index + whole.length;
+
+    if (sigil === '#' || sigil === '^') {
+      const section = { type: 'section', inverted: sigil === '^', name, children: [] };
+      parent.children.push(section);
+      stack.push(section);
+    } else if (sigil === '/') {
+      const open = stack.pop();
+      if (!open.name || open.name !== name) {
+        throw new Error(`Template section {{/${name}}} does not match an open section`);
+      }
+    } else {
+      parent.children.push({ type: 'value', name, raw: Boolean(triple) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Template section {{#${stack[stack.length - 1].name}}} is not closed`);
+  }
+  if (last < source.length) {
+    root.children.push({ type: 'text', value: source.slice(last) });
+  }
+  return root;
+}
+
+function lookup(contexts, name) {
+  if (name === '.') return contexts[contexts.length - 1];
+  const [head, ...rest] = name.split('.');
+
+  for (let i = contexts.length - 1; i >= 0; i--) {
+    const context = contexts[i];
+    if (context !== null && typeof context === 'object' && head in context) {
+      return rest.reduce((value, key) => (value == null ? value : value[key]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+function renderNodes(nodes, contexts, escape) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const value = lookup(contexts, node.name);
+
+    if (node.type === 'value') {
+      if (value === undefined || value === null) return '';
+      return escape && !node.raw ? escapeHtml(value) : String(value);
+    }
+
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (node.inverted) {
+      return empty ? renderNodes(node.children, contexts, escape) : '';
+    }
+    if (empty) return '';
+    if (Array.isArray(value)) {
+      return value.map(element => renderNodes(node.children, [...contexts, element], escape)).join('');
+    }
+    const next = typeof value === 'object' ? [...contexts, value] : contexts;
+    return renderNodes(node.children, next, escape);
+  }).join('');
+}
+
+const cache = new Map();
+
+/**
+ * Render a template string with data. HTML escaping is on unless
+ * { escape: false } is passed (used for plain-text bodies and subjects).
+ */
+export function renderTemplate(source, data, { escape = true } = {}) {
+  let tree = cache.get(source);
+  if (!tree) {
+    tree = parse(source);
+    cache.set(source, tree);
+  }
+  return renderNodes(tree.children, [data], escape);
+}
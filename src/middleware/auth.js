@@ -1,4 +1,4 @@
-import { verifyToken } from '../lib/auth.js';
+import { verifyToken, hasRole } from '../lib/auth.js';
 import { supabase } from '../lib/supabase.js';
 
 // Authentication middleware
@@ -21,7 +21,7 @@ export async function authenticateUser(request, reply) {
     // Get user from database
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city')
+      .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city, role')
       .eq('id', decoded.userId)
       .single();
 
@@ -56,7 +56,7 @@ export async function optionalAuth(request, reply) {
     // Get user from database
     const { data: user, error } = await supabase
       .from('users')
-      .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city')
+      .select('id, email, first_name, last_name, telephone, postcode, address, street_name, city, role')
       .eq('id', decoded.userId)
       .single();
 
@@ -70,3 +70,42 @@ export async function optionalAuth(request, reply) {
     return null;
   }
 }
+
+// Role middleware factory. The role claim in the JWT is checked first; with
+// verifyWithDatabase the user's current role is re-read from the database, so
+// a demoted account cannot keep using an older token for sensitive operations.
+export function requireRole(minRole, { verifyWithDatabase = false } = {}) {
+  return async function (request, reply) {
+    const authHeader = request.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      reply.code(401).send({ error: 'No token provided' });
+      return null;
+    }
+
+    const decoded = verifyToken(authHeader.substring(7));
+    if (!decoded) {
+      reply.code(401).send({ error: 'Invalid token' });
+      return null;
+    }
+
+    if (!hasRole(decoded.role, minRole)) {
+      reply.code(403).send({ error: 'Insufficient permissions', requiredRole: minRole });
+      return null;
+    }
+
+    if (!verifyWithDatabase) {
+      request.user = { id: decoded.userId, role: decoded.role };
+      return request.user;
+    }
+
+    const user = await authenticateUser(request, reply);
+    if (!user) return null;
+
+    if (!hasRole(user.role, minRole)) {
+      reply.code(403).send({ error: 'Insufficient permissions', requiredRole: minRole });
+      return null;
+    }
+
+    return user;
+  };
+}
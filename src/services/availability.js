@@ -0,0 +1,156 @@
+import { supabase } from '../lib/supabase.js';
+import { storeClock, businessDate, nextBusinessDayStart } from '../lib/storeTime.js';
+
+// menu_items columns the availability rules need
+export const AVAILABILITY_COLUMNS = 'is_available, sold_out_until, available_days, available_from, available_until, daily_stock';
+
+// Trading day rollover (store_config.stock_reset_time); sold-out flags and daily stock reset here
+export async function loadStockResetTime(store = 'default') {
+  const { data, error } = await supabase
+    .from('store_config')
+    .select('stock_reset_time')
+    .eq('id', store)
+    .maybeSingle();
+
+  if (error) throw error;
+  return (data?.stock_reset_time || '04:00').slice(0, 5);
+}
+
+// Units sold today per item, for items that track daily stock
+export async function loadStockSold(itemIds, date) {
+  const sold = new Map();
+  if (itemIds.length === 0) return sold;
+
+  const { data, error } = await supabase
+    .from('menu_item_stock')
+    .select('item_id, sold')
+    .eq('business_date', date)
+    .in('item_id', itemIds);
+
+  if (error) throw error;
+  (data || []).forEach(row => sold.set(row.item_id, row.sold));
+  return sold;
+}
+
+function withinHours(time, from, until) {
+  if (!from && !until) return true;
+  const start = (from || '00:00').slice(0, 5);
+  const end = (until || '24:00').slice(0, 5);
+  // Windows like 22:00-02:00 run past midnight
+  return start <= end ? time >= start && time < end : time >= start || time < end;
+}
+
+/**
+ * Whether an item can be ordered right now. Returns
+ * { available, reason, stockRemaining } where reason is one of 'unavailable',
+ * 'sold_out', 'not_available_today', 'outside_hours', 'out_of_stock' or null.
+ */
+export function itemAvailability(item, { now = new Date(), sold = 0 } = {}) {
+  const stockRemaining = Number.isInteger(item.daily_stock) ? Math.max(item.daily_stock - sold, 0) : null;
+  const result = reason => ({ available: reason === null, reason, stockRemaining });
+
+  if (item.is_available === false) return result('unavailable');
+  if (item.sold_out_until && new Date(item.sold_out_until) > now) return result('sold_out');
+
+  const clock = storeClock(now);
+  if (item.available_days?.length && !item.available_days.includes(clock.dayOfWeek)) {
+    return result('not_available_today');
+  }
+  if (!withinHours(clock.time, item.available_from, item.available_until)) {
+    return result('outside_hours');
+  }
+  if (stockRemaining === 0) return result('out_of_stock');
+
+  return result(null);
+}
+
+// Availability for a set of menu_items rows, with today's stock counts loaded
+export async function loadAvailability(items, { now = new Date(), store = 'default' } = {}) {
+  const tracked = items.filter(item => Number.isInteger(item.daily_stock)).map(item => item.id);
+  const date = businessDate(now, await loadStockResetTime(store));
+  const sold = await loadStockSold(tracked, date);
+
+  return new Map(items.map(item => [item.id, itemAvailability(item, { now, sold: sold.get(item.id) || 0 })]));
+}
+
+/**
+ * Take daily stock for order lines. Each item is reserved atomically in the
+ * database (reserve_menu_item_stock); if any item runs short everything already
+ * taken is put back. Returns { reserved, businessDate } or { shortItems }.
+ */
+export async function reserveStock(lines, { now = new Date(), store = 'default' } = {}) {
+  const itemIds = [...new Set(lines.map(line => line.itemId))];
+  const { data: items, error } = await supabase
+    .from('menu_items')
+    .select('id, daily_stock')
+    .in('id', itemIds)
+    .not('daily_stock', 'is', null);
+
+  if (error) throw error;
+
+  const date = businessDate(now, await loadStockResetTime(store));
+  const reserved = [];
+  const shortItems = [];
+
+  for (const item of items) {
+    const qty = lines.filter(line => line.itemId === item.id).reduce((sum, line) => sum + line.qty, 0);
+    const { data: ok, error: reserveError } = await supabase.rpc('reserve_menu_item_stock', {
+      p_item_id: item.id,
+      p_business_date: date,
+      p_qty: qty,
+      p_limit: item.daily_stock
+    });
+
+    if (reserveError) {
+      await releaseStock(reserved, date);
+      throw reserveError;
+    }
+    if (ok) {
+      reserved.push({ itemId: item.id, qty });
+    } else {
+      shortItems.push({ itemId: item.id, requested: qty });
+    }
+  }
+
+  if (shortItems.length > 0) {
+    await releaseStock(reserved, date);
+    return { shortItems };
+  }
+  return { reserved, businessDate: date };
+}
+
+// Give reserved stock back (failed checkout or cancelled order)
+export async function releaseStock(reserved, date) {
+  for (const { itemId, qty } of reserved) {
+    const { error } = await supabase.rpc('reserve_menu_item_stock', {
+      p_item_id: itemId,
+      p_business_date: date,
+      p_qty: -qty,
+      p_limit: null
+    });
+    if (error) throw error;
+  }
+}
+
+// Put a cancelled order's stock back, if it took any (orders.stock_reservation).
+// Releasing and clearing happen in one transaction, so this is safe to retry.
+export async function releaseOrderStock(orderId) {
+  const { error } = await supabase.rpc('release_order_stock', { p_order_id: orderId });
+  if (error) throw error;
+}
+
+// "86" an item until the end of today's trading, or put it back on
+export async function setSoldOut(itemId, soldOut, { now = new Date(), store = 'default' } = {}) {
+  const soldOutUntil = soldOut ? nextBusinessDayStart(now, await loadStockResetTime(store)).toISOString() : null;
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .update({ sold_out_until: soldOutUntil, updated_at: new Date().toISOString() })
+    .eq('id', itemId)
+    .is('deleted_at', null)
+    .select('id, sold_out_until');
+
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { item: data[0] };
+}
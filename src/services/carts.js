@@ -0,0 +1,324 @@
+import { randomUUID } from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import { priceCartItems } from './pricing.js';
+
+// Carts untouched for this long are treated as abandoned
+const CART_TTL_HOURS = Number(process.env.CART_TTL_HOURS || 48);
+
+// Cart and cart line ids are UUIDs; anything else cannot exist and is not looked up
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function nextExpiry() {
+  return new Date(Date.now() + CART_TTL_HOURS * 3600000).toISOString();
+}
+
+// Supabase-backed cart storage (carts + cart_items tables)
+export const supabaseCartStore = {
+  createCart: async (cart) => {
+    const { error } = await supabase.from('carts').insert(cart);
+    if (error) throw error;
+  },
+
+  getCart: async (id) => {
+    const { data, error } = await supabase
+      .from('carts')
+      .select('id, user_id, expires_at, created_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  claimCart: async (id, userId) => {
+    const { data, error } = await supabase
+      .from('carts')
+      .update({ user_id: userId, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('user_id', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  touchCart: async (id, expiresAt) => {
+    const { error } = await supabase
+      .from('carts')
+      .update({ expires_at: expiresAt, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  deleteCart: async (id) => {
+    const { error } = await supabase.from('carts').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  listItems: async (cartId) => {
+    const { data, error } = await supabase
+      .from('cart_items')
+      .select('id, item_id, quantity, modifiers, created_at')
+      .eq('cart_id', cartId)
+      .order('created_at');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  insertItem: async (row) => {
+    const { error } = await supabase.from('cart_items').insert(row);
+    if (error) throw error;
+  },
+
+  updateItem: async (cartId, lineId, changes) => {
+    const { data, error } = await supabase
+      .from('cart_items')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('cart_id', cartId)
+      .eq('id', lineId)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  deleteItem: async (cartId, lineId) => {
+    const { data, error } = await supabase
+      .from('cart_items')
+      .delete()
+      .eq('cart_id', cartId)
+      .eq('id', lineId)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  },
+
+  clearItems: async (cartId) => {
+    const { error } = await supabase.from('cart_items').delete().eq('cart_id', cartId);
+    if (error) throw error;
+  },
+
+  deleteExpired: async (now) => {
+    const { data, error } = await supabase
+      .from('carts')
+      .delete()
+      .lt('expires_at', now)
+      .select('id');
+
+    if (error) throw error;
+    return data.length;
+  }
+};
+
+// In-process cart storage for local development and tests
+export function createMemoryCartStore() {
+  const carts = new Map();
+  const items = new Map();
+
+  const memoryStore = {
+    createCart: async (cart) => {
+      carts.set(cart.id, { ...cart, created_at: new Date().toISOString() });
+    },
+    getCart: async (id) => carts.get(id) || null,
+    claimCart: async (id, userId) => {
+      const cart = carts.get(id);
+      if (!cart || cart.user_id) return false;
+      cart.user_id = userId;
+      return true;
+    },
+    touchCart: async (id, expiresAt) => {
+      const cart = carts.get(id);
+      if (cart) cart.expires_at = expiresAt;
+    },
+    deleteCart: async (id) => {
+      carts.delete(id);
+      for (const [lineId, row] of items) {
+        if (row.cart_id === id) items.delete(lineId);
+      }
+    },
+    listItems: async (cartId) => [...items.values()].filter(row => row.cart_id === cartId),
+    insertItem: async (row) => {
+      items.set(row.id, { ...row, created_at: new Date().toISOString() });
+    },
+    updateItem: async (cartId, lineId, changes) => {
+      const row = items.get(lineId);
+      if (!row || row.cart_id !== cartId) return false;
+      Object.assign(row, changes);
+      return true;
+    },
+    deleteItem: async (cartId, lineId) => {
+      const row = items.get(lineId);
+      if (!row || row.cart_id !== cartId) return false;
+      items.delete(lineId);
+      return true;
+    },
+    clearItems: async (cartId) => {
+      for (const [lineId, row] of items) {
+        if (row.cart_id === cartId) items.delete(lineId);
+      }
+    },
+    deleteExpired: async (now) => {
+      let count = 0;
+      for (const cart of [...carts.values()]) {
+        if (cart.expires_at < now) {
+          await memoryStore.deleteCart(cart.id);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+
+  return memoryStore;
+}
+
+let store = process.env.CART_STORE === 'memory' ? createMemoryCartStore() : supabaseCartStore;
+
+// Swap the storage backend, e.g. to a memory store in tests
+export function setCartStore(nextStore) {
+  store = nextStore;
+}
+
+// Shape stored cart rows the way pricing expects client cart items
+function toCartItems(rows) {
+  return rows.map(row => ({ itemId: row.item_id, qty: row.quantity, modifiers: row.modifiers || [] }));
+}
+
+/**
+ * The cart if it exists, has not expired and the caller may use it. A cart made
+ * while signed in belongs to that user; an anonymous cart is claimed by the first
+ * signed-in user to use it. Someone else's cart is reported as not found.
+ */
+async function loadLiveCart(id, userId = null) {
+  if (!UUID_PATTERN.test(String(id))) return null;
+
+  const cart = await store.getCart(id);
+  if (!cart) return null;
+  if (new Date(cart.expires_at) < new Date()) {
+    await store.deleteCart(id);
+    return null;
+  }
+
+  if (cart.user_id) {
+    return cart.user_id === userId ? cart : null;
+  }
+  if (userId) {
+    if (!(await store.claimCart(id, userId))) return null;
+    return { ...cart, user_id: userId };
+  }
+  return cart;
+}
+
+// Validate a single line through the same pricing path checkout uses
+async function checkLine({ itemId, qty, modifiers }) {
+  const { lines, invalidItems } = await priceCartItems([{ itemId, qty, modifiers }]);
+  return { line: lines[0], invalidItems };
+}
+
+export async function createCart({ userId = null } = {}) {
+  const cart = { id: randomUUID(), user_id: userId, expires_at: nextExpiry() };
+  await store.createCart(cart);
+  return getCart(cart.id, { userId });
+}
+
+/**
+ * Load a cart with every line re-priced from the menu. Lines that no longer
+ * price (item withdrawn, modifiers changed) are listed in invalidItems.
+ */
+export async function getCart(id, { userId = null } = {}) {
+  const cart = await loadLiveCart(id, userId);
+  if (!cart) return null;
+
+  const rows = await store.listItems(id);
+  const { lines, invalidItems } = rows.length > 0
+    ? await priceCartItems(toCartItems(rows))
+    : { lines: [], invalidItems: [] };
+
+  const items = lines.map(line => ({
+    id: rows[line.index].id,
+    itemId: line.itemId,
+    name: line.name,
+    qty: line.qty,
+    unitPrice: line.unitPricePence,
+    totalPrice: line.totalPricePence,
+    modifiers: line.modifiers
+  }));
+
+  return {
+    id: cart.id,
+    items,
+    invalidItems: invalidItems.map(invalid => ({ ...invalid, lineId: rows[invalid.index].id })),
+    subtotalPence: items.reduce((sum, item) => sum + item.totalPrice, 0),
+    expiresAt: cart.expires_at
+  };
+}
+
+// Cart lines in the shape /api/checkout accepts as cartItems
+export async function getCheckoutItems(id, { userId = null } = {}) {
+  const cart = await loadLiveCart(id, userId);
+  if (!cart) return null;
+  return toCartItems(await store.listItems(id));
+}
+
+export async function addCartItem(cartId, { itemId, qty = 1, modifiers = [] }, { userId = null } = {}) {
+  if (!(await loadLiveCart(cartId, userId))) return { notFound: true };
+
+  const { line, invalidItems } = await checkLine({ itemId, qty, modifiers });
+  if (invalidItems.length > 0) return { invalidItems };
+
+  await store.insertItem({
+    id: randomUUID(),
+    cart_id: cartId,
+    item_id: line.itemId,
+    quantity: line.qty,
+    modifiers: line.modifiers
+  });
+  await store.touchCart(cartId, nextExpiry());
+  return { cart: await getCart(cartId, { userId }) };
+}
+
+// Change quantity and/or modifiers of a line
+export async function updateCartItem(cartId, lineId, { qty, modifiers }, { userId = null } = {}) {
+  if (!(await loadLiveCart(cartId, userId))) return { notFound: true };
+
+  const rows = await store.listItems(cartId);
+  const row = rows.find(r => r.id === lineId);
+  if (!row) return { notFound: true };
+
+  const { line, invalidItems } = await checkLine({
+    itemId: row.item_id,
+    qty: qty !== undefined ? qty : row.quantity,
+    modifiers: modifiers !== undefined ? modifiers : row.modifiers
+  });
+  if (invalidItems.length > 0) return { invalidItems };
+
+  await store.updateItem(cartId, lineId, { quantity: line.qty, modifiers: line.modifiers });
+  await store.touchCart(cartId, nextExpiry());
+  return { cart: await getCart(cartId, { userId }) };
+}
+
+export async function removeCartItem(cartId, lineId, { userId = null } = {}) {
+  if (!(await loadLiveCart(cartId, userId))) return { notFound: true };
+  if (!UUID_PATTERN.test(String(lineId)) || !(await store.deleteItem(cartId, lineId))) return { notFound: true };
+  await store.touchCart(cartId, nextExpiry());
+  return { cart: await getCart(cartId, { userId }) };
+}
+
+export async function clearCart(cartId, { userId = null } = {}) {
+  if (!(await loadLiveCart(cartId, userId))) return { notFound: true };
+  await store.clearItems(cartId);
+  await store.touchCart(cartId, nextExpiry());
+  return { cart: await getCart(cartId, { userId }) };
+}
+
+export async function deleteCart(cartId) {
+  await store.deleteCart(cartId);
+}
+
+// Remove abandoned carts; returns how many were deleted
+export async function purgeExpiredCarts() {
+  return store.deleteExpired(new Date().toISOString());
+}
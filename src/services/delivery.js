@@ -1,5 +1,17 @@
 import { supabase } from '../lib/supabase.js';
-import { geocodeToCoord, drivingDistanceMiles } from '../lib/mapclient.js';
+import { cachedGeocode, cachedDrivingDistance } from '../lib/mapCache.js';
+import { containsPoint, geometryErrors } from '../lib/geometry.js';
+
+export const DELIVERY_RULE_TYPES = ['postcode', 'distance', 'polygon'];
+
+// The store's map provider settings for mapclient lookups
+function mapSettings(storeConfig) {
+  return {
+    provider: storeConfig.maps_provider,
+    fallback: storeConfig.maps_fallback_provider,
+    roadFactor: storeConfig.maps_road_factor
+  };
+}
 
 // Helpers for postcode normalization and validation
 export function normalizeUkPostcode(raw = '') {
@@ -47,25 +59,67 @@ async function quoteByPostcodePrefix(postcodeRules, postcode, subtotalPence) {
   const subtotalGbp = subtotalPence / 100;
   let feePence = Math.round(feeGbp * 100);
   
+  // Below the minimum, a small-order fee (when set) is charged instead of refusing the order
+  let smallOrderFeePence = 0;
   if (subtotalGbp < (postcodeRules.default_min_order_threshold || 0)) {
-    feePence += Math.round((postcodeRules.default_extra_fee_if_below_threshold || 0) * 100);
+    smallOrderFeePence = Math.round((postcodeRules.default_extra_fee_if_below_threshold || 0) * 100);
+    feePence += smallOrderFeePence;
   }
   
   return {
     isDeliverable: true,
     feePence,
+    smallOrderFeePence,
     minOrderPence,
     zone: match.pattern,
+    extraLeadTimeMinutes: match.extra_lead_time_minutes || 0,
     reason: null,
     debug: { engine: 'postcode', normalized, matchedPrefix: match.pattern }
   };
 }
 
+/**
+ * Distance rules with defaults filled in and bands sorted nearest first:
+ * { unit, bands: [{ max_distance, spend_threshold, fee_if_subtotal_lt,
+ * fee_if_subtotal_gte, min_order, free_delivery_above, extra_lead_time_minutes }],
+ * per_mile_beyond_last_band, no_service_beyond }. Amounts are in pounds.
+ * Bands saved before spend_threshold existed have no threshold, so they keep
+ * charging fee_if_subtotal_gte as they always did.
+ */
+export function normalizeDistanceRules(rules = {}) {
+  const bands = (rules?.bands || [])
+    .map(band => ({
+      max_distance: Number(band.max_distance),
+      spend_threshold: band.spend_threshold ?? null,
+      fee_if_subtotal_lt: band.fee_if_subtotal_lt ?? band.fee_if_subtotal_gte ?? 0,
+      fee_if_subtotal_gte: band.fee_if_subtotal_gte ?? 0,
+      min_order: band.min_order ?? 0,
+      free_delivery_above: band.free_delivery_above ?? null,
+      extra_lead_time_minutes: band.extra_lead_time_minutes ?? 0
+    }))
+    .sort((a, b) => a.max_distance - b.max_distance);
+
+  const lastBand = bands[bands.length - 1];
+  return {
+    unit: rules?.unit || 'mile',
+    bands,
+    per_mile_beyond_last_band: rules?.per_mile_beyond_last_band ?? null,
+    no_service_beyond: rules?.no_service_beyond ?? lastBand?.max_distance ?? 0
+  };
+}
+
+// A band's fee in pounds for a subtotal, by its spend threshold
+function bandFeeGbp(band, subtotalGbp) {
+  if (band.spend_threshold !== null && subtotalGbp < band.spend_threshold) return band.fee_if_subtotal_lt;
+  return band.fee_if_subtotal_gte;
+}
+
 // Quote using distance bands (driving mile)
-async function quoteByDistanceBands(distanceRules, storeLocation, postcode, address, subtotalPence) {
+async function quoteByDistanceBands(storedRules, storeLocation, postcode, address, subtotalPence, maps, store) {
+  const distanceRules = normalizeDistanceRules(storedRules);
   try {
     // Geocode customer address
-    const customerCoord = await geocodeToCoord(address || postcode);
+    const customerCoord = await cachedGeocode(address || postcode, maps);
     if (!customerCoord) {
       return {
         isDeliverable: false,
@@ -78,7 +132,13 @@ async function quoteByDistanceBands(distanceRules, storeLocation, postcode, addr
     }
 
     // Calculate driving distance
-    const distanceMiles = await drivingDistanceMiles(storeLocation, customerCoord);
+    const distanceMiles = await cachedDrivingDistance({
+      store,
+      origin: storeLocation,
+      destination: customerCoord,
+      query: address || postcode,
+      settings: maps
+    });
     if (distanceMiles === null) {
       return {
         isDeliverable: false,
@@ -102,8 +162,14 @@ async function quoteByDistanceBands(distanceRules, storeLocation, postcode, addr
       };
     }
 
-    // Find appropriate band
-    const band = distanceRules.bands.find(b => distanceMiles <= b.max_distance);
+    // Find appropriate band; past the last one, charge it plus a per-mile surcharge if set
+    let band = distanceRules.bands.find(b => distanceMiles <= b.max_distance);
+    let surchargeGbp = 0;
+    const lastBand = distanceRules.bands[distanceRules.bands.length - 1];
+    if (!band && lastBand && distanceRules.per_mile_beyond_last_band !== null) {
+      band = lastBand;
+      surchargeGbp = (distanceMiles - lastBand.max_distance) * distanceRules.per_mile_beyond_last_band;
+    }
     if (!band) {
       return {
         isDeliverable: false,
@@ -116,15 +182,24 @@ async function quoteByDistanceBands(distanceRules, storeLocation, postcode, addr
     }
 
     const subtotalGbp = subtotalPence / 100;
-    const feeGbp = subtotalGbp >= 0 ? band.fee_if_subtotal_gte : band.fee_if_subtotal_lt;
+    // Free delivery waives the per-mile surcharge too
+    const freeDelivery = band.free_delivery_above !== null && subtotalGbp >= band.free_delivery_above;
+    const feeGbp = freeDelivery ? 0 : bandFeeGbp(band, subtotalGbp) + surchargeGbp;
 
     return {
       isDeliverable: true,
       feePence: Math.round(feeGbp * 100),
-      minOrderPence: 0, // Distance rules don't have min order threshold
-      zone: `<= ${band.max_distance}mi`,
+      minOrderPence: Math.round(band.min_order * 100),
+      zone: surchargeGbp > 0 ? `> ${band.max_distance}mi` : `<= ${band.max_distance}mi`,
+      extraLeadTimeMinutes: band.extra_lead_time_minutes,
       reason: null,
-      debug: { engine: 'distance', distanceMiles, band: band.max_distance }
+      debug: {
+        engine: 'distance',
+        distanceMiles,
+        band: band.max_distance,
+        spendThreshold: band.spend_threshold,
+        surchargePence: Math.round(surchargeGbp * 100)
+      }
     };
   } catch (error) {
     return {
@@ -138,6 +213,171 @@ async function quoteByDistanceBands(distanceRules, storeLocation, postcode, addr
   }
 }
 
+/**
+ * Problems with polygon zone rules, each naming its zone:
+ * { zones: [{ name, geometry, radius_miles, fee, min_order, extra_lead_time_minutes }] }
+ * where geometry is a GeoJSON Polygon or MultiPolygon, or a Point with radius_miles.
+ */
+export function polygonRuleErrors(rules) {
+  if (!Array.isArray(rules?.zones) || rules.zones.length === 0) return ['zones must be a non-empty list'];
+
+  const errors = [];
+  const names = new Set();
+  rules.zones.forEach((zone, i) => {
+    const label = zone?.name ? `Zone "${zone.name}"` : `Zone ${i + 1}`;
+    if (!zone?.name) errors.push(`${label}: name is required`);
+    else if (names.has(zone.name)) errors.push(`${label}: name is used more than once`);
+    names.add(zone?.name);
+
+    geometryErrors(zone?.geometry, zone?.radius_miles).forEach(error => errors.push(`${label}: ${error}`));
+    if (!(Number(zone?.fee) >= 0)) errors.push(`${label}: fee must be 0 or more`);
+    if (zone?.min_order !== undefined && !(Number(zone.min_order) >= 0)) errors.push(`${label}: min_order must be 0 or more`);
+    if (zone?.extra_lead_time_minutes !== undefined && !(Number.isInteger(zone.extra_lead_time_minutes) && zone.extra_lead_time_minutes >= 0)) {
+      errors.push(`${label}: extra_lead_time_minutes must be a whole number of minutes`);
+    }
+  });
+  return errors;
+}
+
+// Every usable zone containing a point, in listed order (the first one is used for quotes)
+export function polygonZonesAt(rules, point) {
+  return (rules?.zones || []).filter(zone =>
+    geometryErrors(zone.geometry, zone.radius_miles).length === 0 &&
+    containsPoint(zone.geometry, point, zone.radius_miles)
+  );
+}
+
+// Quote using the store's own polygon / radius zones, evaluated locally once geocoded
+async function quoteByPolygonZones(polygonRules, postcode, address, maps) {
+  try {
+    const customerCoord = await cachedGeocode(address || postcode, maps);
+    if (!customerCoord) {
+      return {
+        isDeliverable: false,
+        feePence: 0,
+        minOrderPence: 0,
+        zone: null,
+        reason: 'Unable to geocode address',
+        debug: { engine: 'polygon', address, postcode }
+      };
+    }
+
+    const [zone] = polygonZonesAt(polygonRules, customerCoord);
+    if (!zone) {
+      return {
+        isDeliverable: false,
+        feePence: 0,
+        minOrderPence: 0,
+        zone: null,
+        reason: 'Out of delivery area',
+        debug: { engine: 'polygon', coord: customerCoord }
+      };
+    }
+
+    return {
+      isDeliverable: true,
+      feePence: Math.round(Number(zone.fee) * 100),
+      minOrderPence: Math.round(Number(zone.min_order || 0) * 100),
+      zone: zone.name,
+      extraLeadTimeMinutes: zone.extra_lead_time_minutes || 0,
+      reason: null,
+      debug: { engine: 'polygon', coord: customerCoord, matchedZone: zone.name }
+    };
+  } catch (error) {
+    return {
+      isDeliverable: false,
+      feePence: 0,
+      minOrderPence: 0,
+      zone: null,
+      reason: 'Error calculating delivery fee',
+      debug: { engine: 'polygon', error: error.message }
+    };
+  }
+}
+
+/**
+ * Check polygon zone rules and show which zone a point falls into. Uses the
+ * zones given, or the store's saved ones; the point is { lat, lng } or found by
+ * geocoding a postcode/address. Returns { errors, point, zone, matches } or
+ * { invalid } when there is no point to test.
+ */
+export async function previewPolygonZones({ zones = null, point = null, postcode = null, address = null, store = 'default' }) {
+  const { data: storeConfig, error } = await supabase
+    .from('store_config')
+    .select('delivery_polygon_rules, maps_provider, maps_fallback_provider, maps_road_factor')
+    .eq('id', store)
+    .maybeSingle();
+
+  if (error) throw error;
+  const rules = zones ? { zones } : storeConfig?.delivery_polygon_rules || { zones: [] };
+
+  const errors = polygonRuleErrors(rules);
+  let coord = point;
+  if (!coord && (postcode || address)) coord = await cachedGeocode(address || postcode, mapSettings(storeConfig || {}));
+  if (!coord) return { invalid: postcode || address ? 'Unable to geocode address' : 'lat and lng, or a postcode, are required', errors };
+
+  const matches = polygonZonesAt(rules, coord);
+  return {
+    errors,
+    point: coord,
+    zone: matches[0] ? matches[0].name : null,
+    matches: matches.map(zone => zone.name)
+  };
+}
+
+/**
+ * Save a store's polygon zone rules. Returns { invalid: errors } without saving
+ * when the zones are not usable, otherwise { rules }.
+ */
+export async function savePolygonZones({ zones, store = 'default' }) {
+  const rules = { zones };
+  const errors = polygonRuleErrors(rules);
+  if (errors.length > 0) return { invalid: errors };
+
+  const { data, error } = await supabase
+    .from('store_config')
+    .update({ delivery_polygon_rules: rules })
+    .eq('id', store)
+    .select('delivery_polygon_rules')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return { notFound: true };
+  return { rules: data.delivery_polygon_rules };
+}
+
+// Problems with a store's saved polygon zones (empty when polygon quotes can run)
+export async function savedPolygonRuleErrors(store = 'default') {
+  const { data, error } = await supabase
+    .from('store_config')
+    .select('delivery_polygon_rules')
+    .eq('id', store)
+    .maybeSingle();
+
+  if (error) throw error;
+  return polygonRuleErrors(data?.delivery_polygon_rules);
+}
+
+/**
+ * Why an order cannot be placed against a delivery quote, or null when it can:
+ * { reason } when the address is not deliverable, or { reason, minOrderPence,
+ * shortfallPence } when the subtotal is below the zone minimum and no
+ * small-order fee was charged in its place.
+ */
+export function deliveryRefusal(quote, subtotalPence) {
+  if (!quote.isDeliverable) {
+    return { reason: quote.reason || 'Address is not deliverable' };
+  }
+  if (quote.smallOrderFeePence > 0 || subtotalPence >= (quote.minOrderPence || 0)) {
+    return null;
+  }
+  return {
+    reason: 'Below minimum order for delivery',
+    minOrderPence: quote.minOrderPence,
+    shortfallPence: quote.minOrderPence - subtotalPence
+  };
+}
+
 /**
  * Main quote function. Accepts mode (delivery/collection), postcode, address (optional), subtotalPence, store id.
  */
@@ -173,6 +413,13 @@ export async function quoteDelivery({ mode, postcode, address, subtotalPence, st
         postcode,
         subtotalPence
       );
+    } else if (activeRuleType === 'polygon') {
+      return await quoteByPolygonZones(
+        storeConfig.delivery_polygon_rules,
+        postcode,
+        address,
+        mapSettings(storeConfig)
+      );
     } else if (activeRuleType === 'distance') {
       const storeLocation = {
         lat: storeConfig.location_lat,
@@ -183,7 +430,9 @@ export async function quoteDelivery({ mode, postcode, address, subtotalPence, st
         storeLocation,
         postcode,
         address,
-        subtotalPence
+        subtotalPence,
+        mapSettings(storeConfig),
+        store
       );
     }
 
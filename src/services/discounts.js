@@ -0,0 +1,125 @@
+import { supabase } from '../lib/supabase.js';
+
+// Load the active automatic discount rules
+export async function loadActiveDiscountRules() {
+  const { data, error } = await supabase
+    .from('discount_rules')
+    .select('*')
+    .eq('is_active', true)
+    .order('min_amount_pence');
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Why a rule does not apply right now, or null if it does
+function ineligibleReason(rule, { mode, now, targetSubtotalPence }) {
+  if (rule.valid_from && now < new Date(rule.valid_from)) return 'Not started yet';
+  if (rule.valid_until && now > new Date(rule.valid_until)) return 'Expired';
+  if (rule.applies_to_mode && rule.applies_to_mode !== 'all' && rule.applies_to_mode !== mode) {
+    return `${rule.applies_to_mode === 'delivery' ? 'Delivery' : 'Collection'} orders only`;
+  }
+  if (targetSubtotalPence < rule.min_amount_pence) {
+    return `Spend £${((rule.min_amount_pence - targetSubtotalPence) / 100).toFixed(2)} more`;
+  }
+  return null;
+}
+
+// Subtotal of the lines a rule targets (all lines unless category_ids is set)
+function targetSubtotal(rule, lines) {
+  const categories = rule.category_ids || [];
+  return lines
+    .filter(line => categories.length === 0 || categories.includes(line.categoryId))
+    .reduce((sum, line) => sum + line.totalPricePence, 0);
+}
+
+function ruleAmountPence(rule, targetSubtotalPence) {
+  const value = Number(rule.discount_value) || 0;
+  if (rule.type === 'percentage') {
+    return Math.round(targetSubtotalPence * value / 100);
+  }
+  if (rule.type === 'fixed_amount') {
+    return Math.min(Math.round(value * 100), targetSubtotalPence);
+  }
+  return 0;
+}
+
+/**
+ * Evaluate discount_rules against priced cart lines.
+ *
+ * A rule that cannot be combined is only ever applied on its own; combinable rules
+ * stack together. The combination worth the most to the customer wins, counting
+ * free items at their menu price when we know it.
+ *
+ * Returns { discountPence, applied, freeItems, ineligible }.
+ */
+export function evaluateDiscounts({ rules, lines, mode, now = new Date(), freeItemPrices = {} }) {
+  const subtotalPence = lines.reduce((sum, line) => sum + line.totalPricePence, 0);
+  const candidates = [];
+  const ineligible = [];
+
+  for (const rule of rules) {
+    const targetSubtotalPence = targetSubtotal(rule, lines);
+    const reason = ineligibleReason(rule, { mode, now, targetSubtotalPence });
+    if (reason) {
+      ineligible.push({ ruleId: rule.id, name: rule.name, reason });
+      continue;
+    }
+
+    const amountPence = ruleAmountPence(rule, targetSubtotalPence);
+    const freeItem = rule.type === 'free_item'
+      ? { ruleId: rule.id, itemId: rule.free_item_id || null, name: rule.free_item_name, qty: 1 }
+      : null;
+    const freeItemValue = freeItem ? (freeItemPrices[rule.free_item_id] || 0) : 0;
+
+    candidates.push({ rule, amountPence, freeItem, value: amountPence + freeItemValue });
+  }
+
+  const combinable = candidates.filter(c => c.rule.can_combine);
+  const options = [
+    ...candidates.filter(c => !c.rule.can_combine).map(c => [c]),
+    combinable
+  ];
+
+  const worth = option => option.reduce((sum, c) => sum + c.value, 0);
+  const best = options.reduce((top, option) => (worth(option) > worth(top) ? option : top), []);
+
+  // Anything that lost out to a better combination is reported as such
+  candidates
+    .filter(c => !best.includes(c))
+    .forEach(c => ineligible.push({ ruleId: c.rule.id, name: c.rule.name, reason: 'Cannot be combined with a better offer' }));
+
+  const discountPence = Math.min(best.reduce((sum, c) => sum + c.amountPence, 0), subtotalPence);
+
+  return {
+    discountPence,
+    applied: best.map(c => ({
+      ruleId: c.rule.id,
+      name: c.rule.name,
+      type: c.rule.type,
+      amountPence: c.amountPence,
+      freeItem: c.freeItem
+    })),
+    freeItems: best.filter(c => c.freeItem).map(c => c.freeItem),
+    ineligible
+  };
+}
+
+// Load active rules (and the prices of any free items) and evaluate them
+export async function applyDiscounts({ lines, mode, now = new Date() }) {
+  const rules = await loadActiveDiscountRules();
+
+  const freeItemIds = rules.map(rule => rule.free_item_id).filter(Boolean);
+  const freeItemPrices = {};
+  if (freeItemIds.length > 0) {
+    const { data, error } = await supabase
+      .from('menu_items')
+      .select('id, price_pence')
+      .in('id', freeItemIds);
+
+    if (error) throw error;
+    (data || []).forEach(item => { freeItemPrices[item.id] = item.price_pence; });
+  }
+
+  return evaluateDiscounts({ rules, lines, mode, now, freeItemPrices });
+}
@@ -0,0 +1,234 @@
+import { createHash } from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import { businessDate } from '../lib/storeTime.js';
+import { AVAILABILITY_COLUMNS, itemAvailability, loadStockResetTime, loadStockSold } from './availability.js';
+
+// Menu edits made outside this process (dashboard, scripts) show up after this long
+const MENU_CACHE_TTL_MS = Number(process.env.MENU_CACHE_TTL_SECONDS || 300) * 1000;
+
+const byOrder = (a, b) => (a.display_order || 0) - (b.display_order || 0);
+
+/**
+ * Build the public menu from a fixed number of queries: categories, items with
+ * their options and choices embedded, all conditional links and today's stock
+ * counts. Item rows are kept alongside so availability can be worked out per request.
+ */
+export async function buildMenu({ now = new Date() } = {}) {
+  const [categoriesResult, itemsResult, conditionalsResult, resetTime] = await Promise.all([
+    supabase
+      .from('categories')
+      .select('id, name, description')
+      .is('deleted_at', null)
+      .order('display_order'),
+    supabase
+      .from('menu_items')
+      .select(`
+        id,
+        name,
+        description,
+        price_pence,
+        category_id,
+        image_url,
+        allergens,
+        dietary_tags,
+        spicy_level,
+        calories,
+        ${AVAILABILITY_COLUMNS},
+        menu_options (
+          id,
+          name,
+          type,
+          required,
+          display_order,
+          menu_option_choices (
+            id,
+            name,
+            price_delta_pence,
+            allergens,
+            display_order
+          )
+        )
+      `)
+      .is('deleted_at', null)
+      .order('display_order'),
+    supabase
+      .from('menu_conditional_options')
+      .select('parent_option_id, parent_choice_id, dependent_option_id'),
+    loadStockResetTime()
+  ]);
+
+  if (categoriesResult.error) throw categoriesResult.error;
+  if (itemsResult.error) throw itemsResult.error;
+  if (conditionalsResult.error) throw conditionalsResult.error;
+
+  const stockDate = businessDate(now, resetTime);
+  const tracked = itemsResult.data.filter(item => Number.isInteger(item.daily_stock)).map(item => item.id);
+  const sold = await loadStockSold(tracked, stockDate);
+
+  const items = itemsResult.data.map(item => {
+    const options = (item.menu_options || []).sort(byOrder);
+    const optionIds = new Set(options.map(option => option.id));
+    const conditionals = conditionalsResult.data.filter(cond => optionIds.has(cond.parent_option_id));
+
+    // parent option -> parent choice -> dependent option
+    const conditionalMap = {};
+    conditionals.forEach(cond => {
+      if (!conditionalMap[cond.parent_option_id]) {
+        conditionalMap[cond.parent_option_id] = {};
+      }
+      conditionalMap[cond.parent_option_id][cond.parent_choice_id] = cond.dependent_option_id;
+    });
+
+    return {
+      id: item.id,
+      name: item.name,
+      description: item.description || '',
+      price: item.price_pence,
+      categoryId: item.category_id,
+      imageUrl: item.image_url,
+      allergens: item.allergens || [],
+      dietaryTags: item.dietary_tags || [],
+      spicyLevel: item.spicy_level || 0,
+      calories: item.calories,
+      options: options.map(option => {
+        const condition = conditionals.find(cond => cond.dependent_option_id === option.id);
+        return {
+          id: option.id,
+          name: option.name,
+          type: option.type,
+          required: option.required,
+          choices: (option.menu_option_choices || []).sort(byOrder).map(choice => ({
+            id: choice.id,
+            name: choice.name,
+            priceDelta: choice.price_delta_pence,
+            allergens: choice.allergens || []
+          })),
+          isConditional: Boolean(condition),
+          dependsOnOption: condition?.parent_option_id || null,
+          dependsOnChoice: condition?.parent_choice_id || null
+        };
+      }),
+      conditionalOptions: conditionalMap
+    };
+  });
+
+  return {
+    categories: categoriesResult.data,
+    items,
+    rows: new Map(itemsResult.data.map(item => [item.id, item])),
+    sold,
+    resetTime,
+    stockDate
+  };
+}
+
+/**
+ * Leave out what a customer cannot eat. Items containing an excluded allergen go,
+ * as do choices that would add one; an item is dropped if that leaves a required
+ * option with nothing to choose. dietary keeps only items carrying every tag given.
+ */
+export function filterMenu(menu, { excludeAllergens = [], dietary = [] } = {}) {
+  if (excludeAllergens.length === 0 && dietary.length === 0) return menu;
+
+  const excluded = new Set(excludeAllergens);
+  const safe = allergens => !allergens.some(code => excluded.has(code));
+
+  const items = menu.items
+    .filter(item => safe(item.allergens) && dietary.every(tag => item.dietaryTags.includes(tag)))
+    .map(item => ({
+      ...item,
+      options: item.options.map(option => ({
+        ...option,
+        choices: option.choices.filter(choice => safe(choice.allergens))
+      }))
+    }))
+    .filter(item => item.options.every(option => !option.required || option.isConditional || option.choices.length > 0));
+
+  return { ...menu, items };
+}
+
+// Public menu with each item's availability as of now
+function present(base, now) {
+  const items = base.items.map(item => {
+    const status = itemAvailability(base.rows.get(item.id), { now, sold: base.sold.get(item.id) || 0 });
+    return {
+      ...item,
+      available: status.available,
+      unavailableReason: status.reason,
+      stockRemaining: status.stockRemaining
+    };
+  });
+  return { categories: base.categories, items };
+}
+
+let cached = null;
+let building = null;
+// Bumped by invalidateMenu so a rebuild that raced with a write is not trusted
+let generation = 0;
+// Last response served, so an unchanged menu keeps its Last-Modified
+let served = null;
+
+async function rebuild(now) {
+  const startedAt = generation;
+  const base = await buildMenu({ now });
+  cached = { base, builtAt: startedAt === generation ? Date.now() : 0 };
+  return cached;
+}
+
+function isFresh(entry, now) {
+  return Date.now() - entry.builtAt < MENU_CACHE_TTL_MS &&
+    businessDate(now, entry.base.resetTime) === entry.base.stockDate;
+}
+
+/**
+ * The menu as { menu, body, etag, lastModified }. Menu data is cached and rebuilt
+ * when stale, invalidated or a new trading day starts; concurrent callers share one
+ * rebuild. Availability depends on the time, so it is applied per request. If a
+ * rebuild fails the previous menu is served rather than nothing.
+ */
+export async function getMenu({ now = new Date(), filters = {} } = {}) {
+  let entry = cached;
+  if (!entry || !isFresh(entry, now)) {
+    if (!building) {
+      building = rebuild(now).finally(() => { building = null; });
+    }
+    try {
+      entry = await building;
+    } catch (error) {
+      if (!cached) throw error;
+      console.error('Menu rebuild failed, serving previous menu:', error);
+      entry = cached;
+    }
+  }
+
+  const menu = present(entry.base, now);
+  const full = JSON.stringify(menu);
+  const filtered = filterMenu(menu, filters);
+  const body = filtered === menu ? full : JSON.stringify(filtered);
+  // Filtered views are derived from the full menu, so they share its version
+  const etag = `"${createHash('sha1').update(full).digest('base64url')}"`;
+
+  if (served?.etag !== etag) {
+    // HTTP dates have whole-second precision
+    served = { etag, lastModified: new Date(Math.floor(now.getTime() / 1000) * 1000) };
+  }
+  return { menu: filtered, body, etag, lastModified: served.lastModified };
+}
+
+// Call after any write to the menu tables
+export function invalidateMenu() {
+  generation++;
+  if (cached) cached.builtAt = 0;
+}
+
+// Does the request's If-None-Match / If-Modified-Since match the cached menu?
+export function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.trim() === '*' ||
+      ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = Date.parse(headers['if-modified-since'] || '');
+  return !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+}
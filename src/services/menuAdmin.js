@@ -0,0 +1,642 @@
+import { supabase } from '../lib/supabase.js';
+import { DIETARY_TAGS, MAX_SPICY_LEVEL, unknownAllergens } from '../lib/allergens.js';
+
+// Request fields (camelCase) -> columns, per table
+export const CATEGORY_FIELDS = { name: 'name', description: 'description', displayOrder: 'display_order' };
+export const ITEM_FIELDS = {
+  categoryId: 'category_id',
+  name: 'name',
+  description: 'description',
+  pricePence: 'price_pence',
+  imageUrl: 'image_url',
+  available: 'is_available',
+  displayOrder: 'display_order',
+  availableDays: 'available_days',
+  availableFrom: 'available_from',
+  availableUntil: 'available_until',
+  dailyStock: 'daily_stock',
+  allergens: 'allergens',
+  dietaryTags: 'dietary_tags',
+  spicyLevel: 'spicy_level',
+  calories: 'calories'
+};
+export const OPTION_FIELDS = { name: 'name', type: 'type', required: 'required', displayOrder: 'display_order' };
+export const CHOICE_FIELDS = {
+  name: 'name',
+  priceDeltaPence: 'price_delta_pence',
+  allergens: 'allergens',
+  displayOrder: 'display_order'
+};
+
+export function toColumns(input, fields) {
+  const row = {};
+  Object.entries(fields).forEach(([key, column]) => {
+    if (input[key] !== undefined) row[column] = input[key];
+  });
+  return row;
+}
+
+// Returns a reason string for the first invalid field, or null
+export function validateFields(row, { partial }) {
+  if ('name' in row || !partial) {
+    if (typeof row.name !== 'string' || row.name.trim() === '') return 'Name is required';
+  }
+  if ('price_pence' in row && (!Number.isInteger(row.price_pence) || row.price_pence < 0)) {
+    return 'Price must be a whole number of pence';
+  }
+  if ('price_delta_pence' in row && !Number.isInteger(row.price_delta_pence)) {
+    return 'Price delta must be a whole number of pence';
+  }
+  if ('display_order' in row && !Number.isInteger(row.display_order)) {
+    return 'Display order must be a whole number';
+  }
+  if ('type' in row && !['radio', 'checkbox'].includes(row.type)) {
+    return "Option type must be 'radio' or 'checkbox'";
+  }
+  if ('available_days' in row && row.available_days !== null &&
+    (!Array.isArray(row.available_days) || row.available_days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+    return 'Available days must be a list of weekdays 0-6 (0 = Sunday)';
+  }
+  for (const column of ['available_from', 'available_until']) {
+    if (column in row && row[column] !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(row[column])) {
+      return `${column} must be a time like 11:30`;
+    }
+  }
+  if ('daily_stock' in row && row.daily_stock !== null && (!Number.isInteger(row.daily_stock) || row.daily_stock < 0)) {
+    return 'Daily stock must be a whole number (or null for unlimited)';
+  }
+  if ('allergens' in row) {
+    if (!Array.isArray(row.allergens)) return 'Allergens must be a list';
+    const unknown = unknownAllergens(row.allergens);
+    if (unknown.length > 0) return `Unknown allergens: ${unknown.join(', ')}`;
+  }
+  if ('dietary_tags' in row &&
+    (!Array.isArray(row.dietary_tags) || row.dietary_tags.some(tag => !DIETARY_TAGS.includes(tag)))) {
+    return `Dietary tags must be from: ${DIETARY_TAGS.join(', ')}`;
+  }
+  if ('spicy_level' in row &&
+    (!Number.isInteger(row.spicy_level) || row.spicy_level < 0 || row.spicy_level > MAX_SPICY_LEVEL)) {
+    return `Spicy level must be 0-${MAX_SPICY_LEVEL}`;
+  }
+  if ('calories' in row && row.calories !== null && (!Number.isInteger(row.calories) || row.calories < 0)) {
+    return 'Calories must be a whole number (or null)';
+  }
+  for (const flag of ['is_available', 'required']) {
+    if (flag in row && typeof row[flag] !== 'boolean') return `${flag} must be true or false`;
+  }
+  return null;
+}
+
+// Category and item ids are slug-like text keys; anything else is refused before it
+// reaches a query
+export function isValidMenuId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(id);
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Next display_order at the end of a list
+async function nextDisplayOrder(table, column, value) {
+  let query = supabase.from(table).select('display_order').order('display_order', { ascending: false }).limit(1);
+  if (column) query = query.eq(column, value);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data.length > 0 ? (data[0].display_order || 0) + 1 : 0;
+}
+
+async function findRow(table, id, columns, { live = false } = {}) {
+  let query = supabase.from(table).select(columns).eq('id', id);
+  if (live) query = query.is('deleted_at', null);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * The full menu for editing: every category and item (unavailable ones included,
+ * soft-deleted ones only when asked) with options, choices and conditional links.
+ */
+export async function getAdminMenu({ includeDeleted = false } = {}) {
+  let categoriesQuery = supabase
+    .from('categories')
+    .select('id, name, description, display_order, deleted_at')
+    .order('display_order');
+  let itemsQuery = supabase
+    .from('menu_items')
+    .select(`
+      id,
+      category_id,
+      name,
+      description,
+      price_pence,
+      image_url,
+      is_available,
+      display_order,
+      deleted_at,
+      sold_out_until,
+      available_days,
+      available_from,
+      available_until,
+      daily_stock,
+      allergens,
+      dietary_tags,
+      spicy_level,
+      calories,
+      menu_options (
+        id,
+        name,
+        type,
+        required,
+        display_order,
+        menu_option_choices (
+          id,
+          name,
+          price_delta_pence,
+          allergens,
+          display_order
+        )
+      )
+    `)
+    .order('display_order');
+
+  if (!includeDeleted) {
+    categoriesQuery = categoriesQuery.is('deleted_at', null);
+    itemsQuery = itemsQuery.is('deleted_at', null);
+  }
+
+  const [categoriesResult, itemsResult, conditionalsResult] = await Promise.all([
+    categoriesQuery,
+    itemsQuery,
+    supabase.from('menu_conditional_options').select('id, parent_option_id, parent_choice_id, dependent_option_id')
+  ]);
+
+  if (categoriesResult.error) throw categoriesResult.error;
+  if (itemsResult.error) throw itemsResult.error;
+  if (conditionalsResult.error) throw conditionalsResult.error;
+
+  const byOrder = (a, b) => a.display_order - b.display_order;
+
+  const items = itemsResult.data.map(item => {
+    const options = (item.menu_options || []).sort(byOrder);
+    const optionIds = new Set(options.map(option => option.id));
+
+    return {
+      id: item.id,
+      categoryId: item.category_id,
+      name: item.name,
+      description: item.description || '',
+      pricePence: item.price_pence,
+      imageUrl: item.image_url,
+      available: item.is_available,
+      displayOrder: item.display_order,
+      deletedAt: item.deleted_at,
+      soldOutUntil: item.sold_out_until,
+      availableDays: item.available_days,
+      availableFrom: item.available_from,
+      availableUntil: item.available_until,
+      dailyStock: item.daily_stock,
+      allergens: item.allergens || [],
+      dietaryTags: item.dietary_tags || [],
+      spicyLevel: item.spicy_level || 0,
+      calories: item.calories,
+      options: options.map(option => ({
+        id: option.id,
+        name: option.name,
+        type: option.type,
+        required: option.required,
+        displayOrder: option.display_order,
+        choices: (option.menu_option_choices || []).sort(byOrder).map(choice => ({
+          id: choice.id,
+          name: choice.name,
+          priceDeltaPence: choice.price_delta_pence,
+          allergens: choice.allergens || [],
+          displayOrder: choice.display_order
+        }))
+      })),
+      conditionals: conditionalsResult.data
+        .filter(cond => optionIds.has(cond.parent_option_id))
+        .map(cond => ({
+          id: cond.id,
+          parentOptionId: cond.parent_option_id,
+          parentChoiceId: cond.parent_choice_id,
+          dependentOptionId: cond.dependent_option_id
+        }))
+    };
+  });
+
+  const categories = categoriesResult.data.map(category => ({
+    id: category.id,
+    name: category.name,
+    description: category.description || '',
+    displayOrder: category.display_order,
+    deletedAt: category.deleted_at
+  }));
+
+  return { categories, items };
+}
+
+// ===== Categories =====
+
+export async function createCategory(input) {
+  const row = toColumns(input, CATEGORY_FIELDS);
+  const invalid = validateFields(row, { partial: false });
+  if (invalid) return { invalid };
+
+  if (input.id !== undefined && !isValidMenuId(input.id)) {
+    return { invalid: 'Category id may only contain letters, digits, - and _ (up to 64)' };
+  }
+  row.id = input.id || slugify(row.name);
+  if (!row.id) return { invalid: 'Category id could not be derived from the name' };
+
+  if (await findRow('categories', row.id, 'id')) {
+    return { conflict: `Category '${row.id}' already exists` };
+  }
+  if (row.display_order === undefined) {
+    row.display_order = await nextDisplayOrder('categories');
+  }
+
+  const { data, error } = await supabase.from('categories').insert(row).select('*').single();
+  if (error) throw error;
+  return { category: data };
+}
+
+export async function updateCategory(id, input) {
+  const row = toColumns(input, CATEGORY_FIELDS);
+  const invalid = validateFields(row, { partial: true });
+  if (invalid) return { invalid };
+
+  const { data, error } = await supabase
+    .from('categories')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select('*');
+
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { category: data[0] };
+}
+
+// Soft delete; a category can only go once none of its items are left on the menu
+export async function deleteCategory(id) {
+  if (!(await findRow('categories', id, 'id', { live: true }))) return { notFound: true };
+
+  const { count, error: countError } = await supabase
+    .from('menu_items')
+    .select('id', { count: 'exact', head: true })
+    .eq('category_id', id)
+    .is('deleted_at', null);
+
+  if (countError) throw countError;
+  if (count > 0) {
+    return { conflict: `Category still has ${count} item(s); move or delete them first` };
+  }
+
+  const { data, error } = await supabase
+    .from('categories')
+    .update({ deleted_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return { category: data };
+}
+
+// ===== Menu items =====
+
+export async function createItem(input) {
+  const row = toColumns(input, ITEM_FIELDS);
+  const invalid = validateFields(row, { partial: false });
+  if (invalid) return { invalid };
+  if (row.price_pence === undefined) return { invalid: 'Price is required' };
+
+  if (!row.category_id || !(await findRow('categories', row.category_id, 'id', { live: true }))) {
+    return { invalid: 'Category not found' };
+  }
+
+  if (input.id !== undefined && !isValidMenuId(input.id)) {
+    return { invalid: 'Item id may only contain letters, digits, - and _ (up to 64)' };
+  }
+  row.id = input.id || slugify(row.name);
+  if (!row.id) return { invalid: 'Item id could not be derived from the name' };
+
+  if (await findRow('menu_items', row.id, 'id')) {
+    return { conflict: `Item '${row.id}' already exists` };
+  }
+  if (row.display_order === undefined) {
+    row.display_order = await nextDisplayOrder('menu_items', 'category_id', row.category_id);
+  }
+
+  const { data, error } = await supabase.from('menu_items').insert(row).select('*').single();
+  if (error) throw error;
+  return { item: data };
+}
+
+export async function updateItem(id, input) {
+  const row = toColumns(input, ITEM_FIELDS);
+  const invalid = validateFields(row, { partial: true });
+  if (invalid) return { invalid };
+
+  if (row.category_id && !(await findRow('categories', row.category_id, 'id', { live: true }))) {
+    return { invalid: 'Category not found' };
+  }
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .update({ ...row, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select('*');
+
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { item: data[0] };
+}
+
+// Soft delete: the row stays so past order_items can still be traced to it
+export async function deleteItem(id) {
+  const { data, error } = await supabase
+    .from('menu_items')
+    .update({ deleted_at: new Date().toISOString(), is_available: false, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .is('deleted_at', null)
+    .select('*');
+
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { item: data[0] };
+}
+
+export async function restoreItem(id) {
+  const item = await findRow('menu_items', id, 'id, category_id, deleted_at');
+  if (!item || !item.deleted_at) return { notFound: true };
+
+  if (!(await findRow('categories', item.category_id, 'id', { live: true }))) {
+    return { conflict: 'The item\'s category has been deleted; move the item to another category first' };
+  }
+
+  const { data, error } = await supabase
+    .from('menu_items')
+    .update({ deleted_at: null, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return { item: data };
+}
+
+/**
+ * Turn items on or off in one go, by id list and/or whole category.
+ * Returns the ids that were changed.
+ */
+export async function setItemsAvailability({ itemIds = [], categoryId = null, available }) {
+  if (typeof available !== 'boolean') return { invalid: 'available must be true or false' };
+  if (!Array.isArray(itemIds) || (itemIds.length === 0 && !categoryId)) {
+    return { invalid: 'Provide itemIds or categoryId' };
+  }
+  if (!itemIds.every(id => typeof id === 'string') || (categoryId && typeof categoryId !== 'string')) {
+    return { invalid: 'itemIds and categoryId must be ids' };
+  }
+
+  // Category and id list are updated separately, so no id is ever written into a filter string
+  const markAvailability = () => supabase
+    .from('menu_items')
+    .update({ is_available: available, updated_at: new Date().toISOString() })
+    .is('deleted_at', null);
+
+  const updatedIds = new Set();
+  if (categoryId) {
+    const { data, error } = await markAvailability().eq('category_id', categoryId).select('id');
+    if (error) throw error;
+    data.forEach(item => updatedIds.add(item.id));
+  }
+  if (itemIds.length > 0) {
+    const { data, error } = await markAvailability().in('id', itemIds).select('id');
+    if (error) throw error;
+    data.forEach(item => updatedIds.add(item.id));
+  }
+  return { updatedIds: [...updatedIds] };
+}
+
+// ===== Options and choices =====
+
+export async function createOption(itemId, input) {
+  if (!(await findRow('menu_items', itemId, 'id', { live: true }))) return { notFound: true };
+
+  const row = toColumns(input, OPTION_FIELDS);
+  const invalid = validateFields(row, { partial: false });
+  if (invalid) return { invalid };
+  if (!row.type) return { invalid: "Option type must be 'radio' or 'checkbox'" };
+
+  row.item_id = itemId;
+  if (row.display_order === undefined) {
+    row.display_order = await nextDisplayOrder('menu_options', 'item_id', itemId);
+  }
+
+  const { data, error } = await supabase.from('menu_options').insert(row).select('*').single();
+  if (error) throw error;
+  return { option: data };
+}
+
+export async function updateOption(id, input) {
+  const row = toColumns(input, OPTION_FIELDS);
+  const invalid = validateFields(row, { partial: true });
+  if (invalid) return { invalid };
+
+  const { data, error } = await supabase.from('menu_options').update(row).eq('id', id).select('*');
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { option: data[0] };
+}
+
+// Choices and conditional links go with the option (ON DELETE CASCADE)
+export async function deleteOption(id) {
+  const { data, error } = await supabase.from('menu_options').delete().eq('id', id).select('id');
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { option: data[0] };
+}
+
+export async function createChoice(optionId, input) {
+  if (!(await findRow('menu_options', optionId, 'id'))) return { notFound: true };
+
+  const row = toColumns(input, CHOICE_FIELDS);
+  const invalid = validateFields(row, { partial: false });
+  if (invalid) return { invalid };
+
+  row.option_id = optionId;
+  if (row.display_order === undefined) {
+    row.display_order = await nextDisplayOrder('menu_option_choices', 'option_id', optionId);
+  }
+
+  const { data, error } = await supabase.from('menu_option_choices').insert(row).select('*').single();
+  if (error) throw error;
+  return { choice: data };
+}
+
+export async function updateChoice(id, input) {
+  const row = toColumns(input, CHOICE_FIELDS);
+  const invalid = validateFields(row, { partial: true });
+  if (invalid) return { invalid };
+
+  const { data, error } = await supabase.from('menu_option_choices').update(row).eq('id', id).select('*');
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { choice: data[0] };
+}
+
+export async function deleteChoice(id) {
+  const { data, error } = await supabase.from('menu_option_choices').delete().eq('id', id).select('id');
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { choice: data[0] };
+}
+
+// ===== Conditional options =====
+
+/**
+ * Whether making dependentOption depend on parentOption would make an option
+ * depend (directly or indirectly) on itself, given the existing
+ * [{ parent, dependent }] links. Options may be ids or names.
+ */
+export function closesDependencyLoop(links, parentOption, dependentOption) {
+  // Walk up from the parent; reaching the dependent option would close a loop
+  const parentsOf = new Map();
+  links.forEach(({ parent, dependent }) => {
+    parentsOf.set(dependent, [...(parentsOf.get(dependent) || []), parent]);
+  });
+  const seen = new Set();
+  const pending = [parentOption];
+  while (pending.length > 0) {
+    const option = pending.pop();
+    if (option === dependentOption) return true;
+    if (seen.has(option)) continue;
+    seen.add(option);
+    pending.push(...(parentsOf.get(option) || []));
+  }
+  return false;
+}
+
+/**
+ * Link a dependent option to a choice of a parent option. Both options must
+ * belong to the given item, the choice must belong to the parent option and the
+ * link may not make an option depend (directly or indirectly) on itself.
+ */
+export async function createConditional(itemId, { parentOptionId, parentChoiceId, dependentOptionId }) {
+  if (!(await findRow('menu_items', itemId, 'id', { live: true }))) return { notFound: true };
+  if (!parentOptionId || !parentChoiceId || !dependentOptionId) {
+    return { invalid: 'parentOptionId, parentChoiceId and dependentOptionId are required' };
+  }
+  if (parentOptionId === dependentOptionId) {
+    return { invalid: 'An option cannot depend on itself' };
+  }
+
+  const { data: options, error: optionsError } = await supabase
+    .from('menu_options')
+    .select('id, item_id')
+    .in('id', [parentOptionId, dependentOptionId]);
+
+  if (optionsError) throw optionsError;
+
+  const parent = options.find(option => option.id === parentOptionId);
+  const dependent = options.find(option => option.id === dependentOptionId);
+  if (!parent || !dependent) return { invalid: 'Option not found' };
+  if (parent.item_id !== itemId || dependent.item_id !== itemId) {
+    return { invalid: 'Conditional options must belong to the same item' };
+  }
+
+  const choice = await findRow('menu_option_choices', parentChoiceId, 'id, option_id');
+  if (!choice || choice.option_id !== parentOptionId) {
+    return { invalid: 'Parent choice does not belong to the parent option' };
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('menu_conditional_options')
+    .select('parent_option_id, parent_choice_id, dependent_option_id')
+    .in('dependent_option_id', await itemOptionIds(itemId));
+
+  if (existingError) throw existingError;
+
+  if (existing.some(cond => cond.parent_choice_id === parentChoiceId && cond.dependent_option_id === dependentOptionId)) {
+    return { conflict: 'This conditional link already exists' };
+  }
+
+  const links = existing.map(cond => ({ parent: cond.parent_option_id, dependent: cond.dependent_option_id }));
+  if (closesDependencyLoop(links, parentOptionId, dependentOptionId)) {
+    return { invalid: 'This link would make an option depend on itself' };
+  }
+
+  const { data, error } = await supabase
+    .from('menu_conditional_options')
+    .insert({
+      parent_option_id: parentOptionId,
+      parent_choice_id: parentChoiceId,
+      dependent_option_id: dependentOptionId
+    })
+    .select('*')
+    .single();
+
+  if (error) throw error;
+  return { conditional: data };
+}
+
+async function itemOptionIds(itemId) {
+  const { data, error } = await supabase.from('menu_options').select('id').eq('item_id', itemId);
+  if (error) throw error;
+  return data.map(option => option.id);
+}
+
+export async function deleteConditional(id) {
+  const { data, error } = await supabase.from('menu_conditional_options').delete().eq('id', id).select('id');
+  if (error) throw error;
+  if (data.length === 0) return { notFound: true };
+  return { conditional: data[0] };
+}
+
+// ===== Reordering =====
+
+const REORDER_SCOPES = {
+  categories: { table: 'categories', scopeColumn: null, live: true },
+  items: { table: 'menu_items', scopeColumn: 'category_id', live: true },
+  options: { table: 'menu_options', scopeColumn: 'item_id', live: false },
+  choices: { table: 'menu_option_choices', scopeColumn: 'option_id', live: false }
+};
+
+/**
+ * Set display_order to match the order of ids. ids must list every row in the
+ * scope (all categories, the items of one category, the options of one item or
+ * the choices of one option) exactly once.
+ */
+export async function reorder(kind, ids, scopeId = null) {
+  const { table, scopeColumn, live } = REORDER_SCOPES[kind];
+  if (!Array.isArray(ids) || ids.length === 0 || new Set(ids).size !== ids.length) {
+    return { invalid: 'ids must be a list of unique ids' };
+  }
+
+  let query = supabase.from(table).select('id');
+  if (scopeColumn) query = query.eq(scopeColumn, scopeId);
+  if (live) query = query.is('deleted_at', null);
+
+  const { data: rows, error } = await query;
+  if (error) throw error;
+
+  const current = new Set(rows.map(row => row.id));
+  if (current.size !== ids.length || ids.some(id => !current.has(id))) {
+    return { invalid: 'ids must include every entry exactly once', expectedIds: [...current] };
+  }
+
+  const results = await Promise.all(
+    ids.map((id, index) => supabase.from(table).update({ display_order: index }).eq('id', id))
+  );
+  const failed = results.find(result => result.error);
+  if (failed) throw failed.error;
+
+  return { ids };
+}
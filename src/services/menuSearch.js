@@ -0,0 +1,129 @@
+// Menu search over the public menu (services/menu.js), so results have exactly the
+// same item shape and availability as GET /api/menu.
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+
+// Lower-case, accents removed, punctuation to spaces: "Crème brûlée!" -> "creme brulee"
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function tokens(text) {
+  const normalized = normalizeText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// Words plus each pair run together, so "chowmein" finds "Chow Mein"
+function withPairs(words) {
+  return [...words, ...words.slice(1).map((word, i) => words[i] + word)];
+}
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), giving up past max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a word of this length
+function allowedTypos(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+// How well one query word matches one word of the text (0 = not at all)
+function wordScore(queryWord, word) {
+  if (word === queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.9;
+  if (queryWord.length >= 3 && word.includes(queryWord)) return 0.7;
+
+  const typos = allowedTypos(queryWord.length);
+  if (typos > 0 && editDistance(queryWord, word, typos) <= typos) return 0.6;
+  // A typo in the part typed so far: "chik" for "chicken"
+  if (typos > 0 && word.length > queryWord.length &&
+    editDistance(queryWord, word.slice(0, queryWord.length), typos) <= typos) {
+    return 0.5;
+  }
+  return 0;
+}
+
+/**
+ * Score an item against the query words; every word has to match somewhere or
+ * the item scores 0. A name containing the whole query phrase ranks higher.
+ */
+function scoreItem(queryWords, phrase, name, fields) {
+  let total = 0;
+  for (const queryWord of queryWords) {
+    let best = 0;
+    for (const [field, words] of Object.entries(fields)) {
+      for (const word of words) {
+        best = Math.max(best, wordScore(queryWord, word) * FIELD_WEIGHTS[field]);
+      }
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+  if (normalizeText(name).includes(phrase)) total += FIELD_WEIGHTS.name;
+  return total;
+}
+
+/**
+ * Search a menu (as returned by getMenu) with optional filters:
+ * categoryId, minPricePence, maxPricePence, availableOnly. Items keep menu order
+ * when there is no query, otherwise best match first.
+ */
+export function searchMenu(menu, { query = '', categoryId = null, minPricePence = null, maxPricePence = null, availableOnly = false, limit = 50 } = {}) {
+  const queryWords = tokens(query);
+  const phrase = queryWords.join(' ');
+  const categoryNames = new Map(menu.categories.map(category => [category.id, category.name]));
+
+  const results = [];
+  menu.items.forEach((item, position) => {
+    if (categoryId && item.categoryId !== categoryId) return;
+    if (minPricePence !== null && item.price < minPricePence) return;
+    if (maxPricePence !== null && item.price > maxPricePence) return;
+    if (availableOnly && !item.available) return;
+
+    let score = 0;
+    if (queryWords.length > 0) {
+      score = scoreItem(queryWords, phrase, item.name, {
+        name: withPairs(tokens(item.name)),
+        category: withPairs(tokens(categoryNames.get(item.categoryId))),
+        description: tokens(item.description)
+      });
+      if (score === 0) return;
+    }
+    results.push({ item, score, position });
+  });
+
+  results.sort((a, b) => b.score - a.score || a.position - b.position);
+
+  return {
+    total: results.length,
+    items: results.slice(0, limit).map(result => result.item)
+  };
+}
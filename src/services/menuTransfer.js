@@ -0,0 +1,635 @@
+import { createHash, randomUUID } from 'crypto';
+import { supabase } from '../lib/supabase.js';
+import { parseCsv, stringifyCsv } from '../lib/csv.js';
+import {
+  CATEGORY_FIELDS,
+  ITEM_FIELDS,
+  OPTION_FIELDS,
+  CHOICE_FIELDS,
+  toColumns,
+  validateFields,
+  isValidMenuId,
+  closesDependencyLoop
+} from './menuAdmin.js';
+
+// Menu interchange format (see README "菜单导入/导出"). Options are matched by
+// name within their item and choices by name within their option, so a menu file
+// carries no database ids other than category and item ids and can be loaded into
+// another shop as-is.
+export const MENU_FORMAT = 'site1-menu';
+export const MENU_FORMAT_VERSION = 1;
+
+// Values an entry gets when the file leaves a field out
+const CATEGORY_DEFAULTS = { description: null };
+const ITEM_DEFAULTS = {
+  description: null,
+  image_url: null,
+  is_available: true,
+  available_days: null,
+  available_from: null,
+  available_until: null,
+  daily_stock: null,
+  allergens: [],
+  dietary_tags: [],
+  spicy_level: 0,
+  calories: null
+};
+const OPTION_DEFAULTS = { required: false };
+const CHOICE_DEFAULTS = { price_delta_pence: 0, allergens: [] };
+
+// Make database and file values comparable ('' and null, 'HH:MM:SS' and 'HH:MM', ...)
+function normalize(column, value) {
+  if (value === undefined || value === '') value = null;
+  if (['allergens', 'dietary_tags'].includes(column)) return value || [];
+  if (column === 'available_days') return value && value.length > 0 ? value : null;
+  if (['available_from', 'available_until'].includes(column) && value) return value.slice(0, 5);
+  return value;
+}
+
+function fromColumns(row, fields) {
+  const out = {};
+  Object.entries(fields).forEach(([key, column]) => {
+    out[key] = normalize(column, row[column]);
+  });
+  return out;
+}
+
+// Columns whose values differ, as { column: { from, to } }
+function changedColumns(current, desired) {
+  const changes = {};
+  Object.entries(desired).forEach(([column, value]) => {
+    const from = normalize(column, current[column]);
+    const to = normalize(column, value);
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[column] = { from, to };
+  });
+  return changes;
+}
+
+/**
+ * The live menu as stored, deleted categories and items included so an import
+ * can bring them back instead of clashing with their ids.
+ */
+async function loadCurrentMenu() {
+  const [categoriesResult, itemsResult, conditionalsResult] = await Promise.all([
+    supabase.from('categories').select('*').order('display_order'),
+    supabase
+      .from('menu_items')
+      .select('*, menu_options (*, menu_option_choices (*))')
+      .order('display_order'),
+    supabase.from('menu_conditional_options').select('*')
+  ]);
+
+  if (categoriesResult.error) throw categoriesResult.error;
+  if (itemsResult.error) throw itemsResult.error;
+  if (conditionalsResult.error) throw conditionalsResult.error;
+
+  const byOrder = (a, b) => (a.display_order || 0) - (b.display_order || 0);
+  const items = itemsResult.data.map(item => ({
+    ...item,
+    menu_options: (item.menu_options || []).sort(byOrder).map(option => ({
+      ...option,
+      menu_option_choices: (option.menu_option_choices || []).sort(byOrder)
+    }))
+  }));
+
+  return { categories: categoriesResult.data, items, conditionals: conditionalsResult.data };
+}
+
+// Conditional links of one item, by option and choice name
+function itemConditionals(item, conditionals) {
+  const options = new Map(item.menu_options.map(option => [option.id, option]));
+  return conditionals
+    .filter(cond => options.has(cond.parent_option_id) && options.has(cond.dependent_option_id))
+    .map(cond => {
+      const parent = options.get(cond.parent_option_id);
+      return {
+        id: cond.id,
+        parentOption: parent.name,
+        parentChoice: parent.menu_option_choices.find(choice => choice.id === cond.parent_choice_id)?.name,
+        dependentOption: options.get(cond.dependent_option_id).name
+      };
+    })
+    .filter(cond => cond.parentChoice);
+}
+
+function toDocument(current) {
+  const { categoryId, ...itemFields } = ITEM_FIELDS;
+
+  return {
+    format: MENU_FORMAT,
+    version: MENU_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    categories: current.categories
+      .filter(category => !category.deleted_at)
+      .map(category => ({
+        id: category.id,
+        ...fromColumns(category, CATEGORY_FIELDS),
+        items: current.items
+          .filter(item => item.category_id === category.id && !item.deleted_at)
+          .map(item => ({
+            id: item.id,
+            ...fromColumns(item, itemFields),
+            options: item.menu_options.map(option => ({
+              ...fromColumns(option, OPTION_FIELDS),
+              choices: option.menu_option_choices.map(choice => fromColumns(choice, CHOICE_FIELDS))
+            })),
+            conditionals: itemConditionals(item, current.conditionals)
+              .map(({ parentOption, parentChoice, dependentOption }) => ({ parentOption, parentChoice, dependentOption }))
+          }))
+      }))
+  };
+}
+
+// The live menu in the interchange format
+export async function exportMenu() {
+  return toDocument(await loadCurrentMenu());
+}
+
+/**
+ * Check a menu file and turn it into rows. Returns { menu, errors }; menu is only
+ * usable when errors is empty.
+ */
+export function readMenuDocument(doc) {
+  if (!doc || !Array.isArray(doc.categories)) {
+    return { menu: null, errors: ['Menu must have a categories list'] };
+  }
+  if (doc.format && doc.format !== MENU_FORMAT) {
+    return { menu: null, errors: [`Unknown menu format '${doc.format}'`] };
+  }
+  if (doc.version > MENU_FORMAT_VERSION) {
+    return { menu: null, errors: [`Menu format version ${doc.version} is newer than this server supports`] };
+  }
+
+  const errors = [];
+  const categoryIds = new Set();
+  const itemIds = new Set();
+  const check = (where, row) => {
+    const invalid = validateFields(row, { partial: false });
+    if (invalid) errors.push(`${where}: ${invalid}`);
+  };
+  const unique = (where, seen, value, what) => {
+    if (seen.has(value)) errors.push(`${where}: duplicate ${what} '${value}'`);
+    seen.add(value);
+  };
+
+  const categories = doc.categories.map((category, categoryIndex) => {
+    const where = `Category ${category.id || `#${categoryIndex + 1}`}`;
+    if (!category.id) errors.push(`${where}: id is required`);
+    else if (!isValidMenuId(category.id)) errors.push(`${where}: id may only contain letters, digits, - and _`);
+    unique(where, categoryIds, category.id, 'category id');
+
+    const row = { ...CATEGORY_DEFAULTS, display_order: categoryIndex, ...toColumns(category, CATEGORY_FIELDS) };
+    check(where, row);
+
+    const items = (category.items || []).map((item, itemIndex) => {
+      const itemWhere = `Item ${item.id || `#${itemIndex + 1} in ${category.id}`}`;
+      if (!item.id) errors.push(`${itemWhere}: id is required`);
+      else if (!isValidMenuId(item.id)) errors.push(`${itemWhere}: id may only contain letters, digits, - and _`);
+      unique(itemWhere, itemIds, item.id, 'item id');
+
+      const itemRow = {
+        ...ITEM_DEFAULTS,
+        display_order: itemIndex,
+        ...toColumns(item, ITEM_FIELDS),
+        category_id: category.id
+      };
+      check(itemWhere, itemRow);
+      if (itemRow.price_pence === undefined) errors.push(`${itemWhere}: Price is required`);
+
+      const optionNames = new Set();
+      const options = (item.options || []).map((option, optionIndex) => {
+        const optionWhere = `${itemWhere} > ${option.name}`;
+        unique(itemWhere, optionNames, option.name, 'option');
+
+        const optionRow = { ...OPTION_DEFAULTS, display_order: optionIndex, ...toColumns(option, OPTION_FIELDS) };
+        check(optionWhere, optionRow);
+        if (!optionRow.type) errors.push(`${optionWhere}: Option type must be 'radio' or 'checkbox'`);
+
+        const choiceNames = new Set();
+        const choices = (option.choices || []).map((choice, choiceIndex) => {
+          unique(optionWhere, choiceNames, choice.name, 'choice');
+          const choiceRow = { ...CHOICE_DEFAULTS, display_order: choiceIndex, ...toColumns(choice, CHOICE_FIELDS) };
+          check(`${optionWhere} > ${choice.name}`, choiceRow);
+          return { name: choice.name, row: choiceRow };
+        });
+
+        return { name: option.name, row: optionRow, choices };
+      });
+
+      const links = [];
+      const conditionals = (item.conditionals || []).map(cond => {
+        const parent = options.find(option => option.name === cond.parentOption);
+        if (!parent || !options.some(option => option.name === cond.dependentOption)) {
+          errors.push(`${itemWhere}: conditional refers to an option the item does not have`);
+        } else if (!parent.choices.some(choice => choice.name === cond.parentChoice)) {
+          errors.push(`${itemWhere}: conditional choice '${cond.parentChoice}' is not a choice of '${cond.parentOption}'`);
+        } else if (cond.parentOption === cond.dependentOption) {
+          errors.push(`${itemWhere}: option '${cond.parentOption}' cannot depend on itself`);
+        } else if (closesDependencyLoop(links, cond.parentOption, cond.dependentOption)) {
+          errors.push(`${itemWhere}: '${cond.dependentOption}' depending on '${cond.parentOption}' makes an option depend on itself`);
+        } else {
+          links.push({ parent: cond.parentOption, dependent: cond.dependentOption });
+        }
+        return {
+          parentOption: cond.parentOption,
+          parentChoice: cond.parentChoice,
+          dependentOption: cond.dependentOption
+        };
+      });
+
+      return { id: item.id, row: itemRow, options, conditionals };
+    });
+
+    return { id: category.id, row, items };
+  });
+
+  return { menu: { categories }, errors };
+}
+
+const conditionalKey = cond => `${cond.parentOption}: ${cond.parentChoice} -> ${cond.dependentOption}`;
+
+/**
+ * Work out what importing a menu would change. Everything in the file is created
+ * or updated; live categories, items, options, choices and conditional links the
+ * file does not mention are deleted (categories and items softly).
+ */
+function planImport(current, incoming) {
+  const changes = [];
+  const add = (action, type, key, extra = {}) => changes.push({ action, type, key, ...extra });
+
+  const categoriesById = new Map(current.categories.map(category => [category.id, category]));
+  const itemsById = new Map(current.items.map(item => [item.id, item]));
+  const incomingItemIds = new Set();
+
+  incoming.categories.forEach(category => {
+    const existing = categoriesById.get(category.id);
+    if (!existing) {
+      add('create', 'category', category.id, { row: { id: category.id, ...category.row } });
+    } else {
+      const columns = changedColumns(existing, category.row);
+      if (existing.deleted_at) columns.deleted_at = { from: existing.deleted_at, to: null };
+      if (Object.keys(columns).length > 0) add('update', 'category', category.id, { id: category.id, columns });
+    }
+
+    category.items.forEach(item => {
+      incomingItemIds.add(item.id);
+      const existingItem = itemsById.get(item.id);
+      if (!existingItem) {
+        add('create', 'item', item.id, { row: { id: item.id, ...item.row } });
+      } else {
+        const columns = changedColumns(existingItem, item.row);
+        if (existingItem.deleted_at) columns.deleted_at = { from: existingItem.deleted_at, to: null };
+        if (Object.keys(columns).length > 0) add('update', 'item', item.id, { id: item.id, columns });
+      }
+
+      const currentOptions = new Map((existingItem?.menu_options || []).map(option => [option.name, option]));
+      item.options.forEach(option => {
+        const optionKey = `${item.id} > ${option.name}`;
+        const existingOption = currentOptions.get(option.name);
+        if (!existingOption) {
+          add('create', 'option', optionKey, { itemId: item.id, row: option.row });
+        } else {
+          const columns = changedColumns(existingOption, option.row);
+          if (Object.keys(columns).length > 0) add('update', 'option', optionKey, { id: existingOption.id, columns });
+        }
+
+        const currentChoices = new Map((existingOption?.menu_option_choices || []).map(choice => [choice.name, choice]));
+        option.choices.forEach(choice => {
+          const choiceKey = `${optionKey} > ${choice.name}`;
+          const existingChoice = currentChoices.get(choice.name);
+          if (!existingChoice) {
+            add('create', 'choice', choiceKey, { itemId: item.id, optionName: option.name, row: choice.row });
+          } else {
+            const columns = changedColumns(existingChoice, choice.row);
+            if (Object.keys(columns).length > 0) add('update', 'choice', choiceKey, { id: existingChoice.id, columns });
+          }
+        });
+        currentChoices.forEach((choice, name) => {
+          if (!option.choices.some(c => c.name === name)) add('delete', 'choice', `${optionKey} > ${name}`, { id: choice.id });
+        });
+      });
+      currentOptions.forEach((option, name) => {
+        if (!item.options.some(o => o.name === name)) add('delete', 'option', `${item.id} > ${name}`, { id: option.id });
+      });
+
+      const currentConditionals = existingItem ? itemConditionals(existingItem, current.conditionals) : [];
+      const wanted = new Set(item.conditionals.map(conditionalKey));
+      const existingKeys = new Set(currentConditionals.map(conditionalKey));
+      item.conditionals.forEach(cond => {
+        if (!existingKeys.has(conditionalKey(cond))) {
+          add('create', 'conditional', `${item.id} > ${conditionalKey(cond)}`, { itemId: item.id, conditional: cond });
+        }
+      });
+      currentConditionals.forEach(cond => {
+        if (!wanted.has(conditionalKey(cond))) {
+          add('delete', 'conditional', `${item.id} > ${conditionalKey(cond)}`, { id: cond.id });
+        }
+      });
+    });
+  });
+
+  const incomingCategoryIds = new Set(incoming.categories.map(category => category.id));
+  current.items
+    .filter(item => !item.deleted_at && !incomingItemIds.has(item.id))
+    .forEach(item => add('delete', 'item', item.id, { id: item.id }));
+  current.categories
+    .filter(category => !category.deleted_at && !incomingCategoryIds.has(category.id))
+    .forEach(category => add('delete', 'category', category.id, { id: category.id }));
+
+  return changes;
+}
+
+// What a plan looks like to a person: no rows or ids, just what changes
+function describe(changes) {
+  const summary = { create: 0, update: 0, delete: 0 };
+  const list = changes.map(({ action, type, key, columns }) => {
+    summary[action]++;
+    return columns ? { action, type, key, changes: columns } : { action, type, key };
+  });
+  const planId = createHash('sha1').update(JSON.stringify(list)).digest('hex').slice(0, 16);
+  return { planId, summary, changes: list };
+}
+
+const TABLES = {
+  category: 'categories',
+  item: 'menu_items',
+  option: 'menu_options',
+  choice: 'menu_option_choices',
+  conditional: 'menu_conditional_options'
+};
+
+// Creates and updates parent-first, deletes child-first
+const APPLY_ORDER = [
+  ['create', 'category'], ['update', 'category'],
+  ['create', 'item'], ['update', 'item'],
+  ['create', 'option'], ['update', 'option'],
+  ['create', 'choice'], ['update', 'choice'],
+  ['delete', 'conditional'], ['create', 'conditional'],
+  ['delete', 'choice'], ['delete', 'option'],
+  ['delete', 'item'], ['delete', 'category']
+];
+
+/**
+ * Turn a plan into the ordered writes for apply_menu_import. New options and
+ * choices get their ids here, so later steps can refer to them.
+ */
+function planSteps(changes, current) {
+  // option and choice ids by name, filled in as new ones are created
+  const optionIds = new Map();
+  const choiceIds = new Map();
+  current.items.forEach(item => item.menu_options.forEach(option => {
+    optionIds.set(`${item.id}/${option.name}`, option.id);
+    option.menu_option_choices.forEach(choice => {
+      choiceIds.set(`${item.id}/${option.name}/${choice.name}`, choice.id);
+    });
+  }));
+
+  const now = new Date().toISOString();
+  const steps = [];
+
+  for (const [action, type] of APPLY_ORDER) {
+    const table = TABLES[type];
+    for (const change of changes.filter(c => c.action === action && c.type === type)) {
+      if (action === 'update') {
+        const row = Object.fromEntries(Object.entries(change.columns).map(([column, { to }]) => [column, to]));
+        if (type === 'category' || type === 'item') row.updated_at = now;
+        steps.push({ op: 'update', table, id: change.id, row });
+      } else if (action === 'delete') {
+        if (type === 'category' || type === 'item') {
+          const row = { deleted_at: now, updated_at: now };
+          if (type === 'item') row.is_available = false;
+          steps.push({ op: 'update', table, id: change.id, row });
+        } else {
+          steps.push({ op: 'delete', table, id: change.id });
+        }
+      } else if (type === 'category' || type === 'item') {
+        steps.push({ op: 'insert', table, row: change.row });
+      } else if (type === 'option') {
+        const id = randomUUID();
+        optionIds.set(`${change.itemId}/${change.row.name}`, id);
+        steps.push({ op: 'insert', table, row: { ...change.row, id, item_id: change.itemId } });
+      } else if (type === 'choice') {
+        const id = randomUUID();
+        choiceIds.set(`${change.itemId}/${change.optionName}/${change.row.name}`, id);
+        steps.push({
+          op: 'insert',
+          table,
+          row: { ...change.row, id, option_id: optionIds.get(`${change.itemId}/${change.optionName}`) }
+        });
+      } else if (type === 'conditional') {
+        const { parentOption, parentChoice, dependentOption } = change.conditional;
+        steps.push({
+          op: 'insert',
+          table,
+          row: {
+            parent_option_id: optionIds.get(`${change.itemId}/${parentOption}`),
+            parent_choice_id: choiceIds.get(`${change.itemId}/${parentOption}/${parentChoice}`),
+            dependent_option_id: optionIds.get(`${change.itemId}/${dependentOption}`)
+          }
+        });
+      }
+    }
+  }
+
+  return steps;
+}
+
+// All of the plan is written, or none of it
+async function applyPlan(changes, current) {
+  const { error } = await supabase.rpc('apply_menu_import', { p_steps: planSteps(changes, current) });
+  if (error) throw error;
+}
+
+/**
+ * Import a menu file. Without apply this is a dry run returning the plan
+ * ({ planId, summary, changes }). To apply, pass the planId from the dry run;
+ * if the menu or file changed in between the ids differ and nothing is applied.
+ *
+ * Returns { invalid, errors } for a bad file, { stale, plan } for a planId
+ * mismatch, otherwise { plan, applied }.
+ */
+export async function importMenu(doc, { apply = false, planId = null } = {}) {
+  const { menu, errors } = readMenuDocument(doc);
+  if (errors.length > 0) {
+    return { invalid: 'Menu file is not valid', errors };
+  }
+
+  const current = await loadCurrentMenu();
+  const changes = planImport(current, menu);
+  const plan = describe(changes);
+
+  if (!apply) return { plan, applied: false };
+  if (planId !== plan.planId) return { stale: true, plan };
+
+  await applyPlan(changes, current);
+  return { plan, applied: true };
+}
+
+// ===== CSV =====
+
+// One row per choice; items without options and categories without items get a row of their own
+export const CSV_HEADERS = [
+  'category_id', 'category_name', 'category_description', 'category_order',
+  'item_id', 'item_name', 'item_description', 'price_pence', 'image_url', 'available', 'item_order',
+  'available_days', 'available_from', 'available_until', 'daily_stock',
+  'allergens', 'dietary_tags', 'spicy_level', 'calories',
+  'option_name', 'option_type', 'option_required', 'option_order', 'depends_on',
+  'choice_name', 'choice_price_delta_pence', 'choice_allergens', 'choice_order'
+];
+
+// Lists are written as a|b|c; depends_on as Option=Choice|Option=Choice
+const joinList = list => (list && list.length > 0 ? list.join('|') : '');
+const splitList = text => (text ? text.split('|').map(v => v.trim()).filter(Boolean) : []);
+
+export function menuToCsv(doc) {
+  const rows = [];
+
+  doc.categories.forEach(category => {
+    const categoryColumns = {
+      category_id: category.id,
+      category_name: category.name,
+      category_description: category.description,
+      category_order: category.displayOrder
+    };
+    if (category.items.length === 0) rows.push(categoryColumns);
+
+    category.items.forEach(item => {
+      const itemColumns = {
+        ...categoryColumns,
+        item_id: item.id,
+        item_name: item.name,
+        item_description: item.description,
+        price_pence: item.pricePence,
+        image_url: item.imageUrl,
+        available: item.available,
+        item_order: item.displayOrder,
+        available_days: item.availableDays ? joinList(item.availableDays) : '',
+        available_from: item.availableFrom,
+        available_until: item.availableUntil,
+        daily_stock: item.dailyStock,
+        allergens: joinList(item.allergens),
+        dietary_tags: joinList(item.dietaryTags),
+        spicy_level: item.spicyLevel,
+        calories: item.calories
+      };
+      if (item.options.length === 0) rows.push(itemColumns);
+
+      item.options.forEach(option => {
+        const optionColumns = {
+          ...itemColumns,
+          option_name: option.name,
+          option_type: option.type,
+          option_required: option.required,
+          option_order: option.displayOrder,
+          depends_on: joinList(item.conditionals
+            .filter(cond => cond.dependentOption === option.name)
+            .map(cond => `${cond.parentOption}=${cond.parentChoice}`))
+        };
+        if (option.choices.length === 0) rows.push(optionColumns);
+
+        option.choices.forEach(choice => {
+          rows.push({
+            ...optionColumns,
+            choice_name: choice.name,
+            choice_price_delta_pence: choice.priceDeltaPence,
+            choice_allergens: joinList(choice.allergens),
+            choice_order: choice.displayOrder
+          });
+        });
+      });
+    });
+  });
+
+  return stringifyCsv(CSV_HEADERS, rows);
+}
+
+function csvNumber(text) {
+  return text === '' || text === undefined ? undefined : Number(text);
+}
+
+function csvBoolean(text) {
+  if (text === '' || text === undefined) return undefined;
+  const value = text.trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(value)) return true;
+  if (['false', 'no', 'n', '0'].includes(value)) return false;
+  return text;
+}
+
+const csvText = text => (text === '' ? undefined : text);
+
+// Rebuild the nested menu from CSV rows; repeated category/item/option columns are read from their first row
+export function csvToMenu(text) {
+  const categories = [];
+  const categoryById = new Map();
+  const itemById = new Map();
+
+  parseCsv(text).forEach(row => {
+    if (!row.category_id) return;
+
+    let category = categoryById.get(row.category_id);
+    if (!category) {
+      category = {
+        id: row.category_id,
+        name: row.category_name,
+        description: csvText(row.category_description),
+        displayOrder: csvNumber(row.category_order),
+        items: []
+      };
+      categoryById.set(category.id, category);
+      categories.push(category);
+    }
+    if (!row.item_id) return;
+
+    let item = itemById.get(row.item_id);
+    if (!item) {
+      item = {
+        id: row.item_id,
+        name: row.item_name,
+        description: csvText(row.item_description),
+        pricePence: csvNumber(row.price_pence),
+        imageUrl: csvText(row.image_url),
+        available: csvBoolean(row.available),
+        displayOrder: csvNumber(row.item_order),
+        availableDays: row.available_days ? splitList(row.available_days).map(Number) : undefined,
+        availableFrom: csvText(row.available_from),
+        availableUntil: csvText(row.available_until),
+        dailyStock: csvNumber(row.daily_stock),
+        allergens: splitList(row.allergens),
+        dietaryTags: splitList(row.dietary_tags),
+        spicyLevel: csvNumber(row.spicy_level),
+        calories: csvNumber(row.calories),
+        options: [],
+        conditionals: []
+      };
+      itemById.set(item.id, item);
+      category.items.push(item);
+    }
+    if (!row.option_name) return;
+
+    let option = item.options.find(o => o.name === row.option_name);
+    if (!option) {
+      option = {
+        name: row.option_name,
+        type: csvText(row.option_type),
+        required: csvBoolean(row.option_required),
+        displayOrder: csvNumber(row.option_order),
+        choices: []
+      };
+      item.options.push(option);
+      splitList(row.depends_on).forEach(dependency => {
+        const [parentOption, parentChoice] = dependency.split('=').map(v => v.trim());
+        item.conditionals.push({ parentOption, parentChoice, dependentOption: option.name });
+      });
+    }
+    if (!row.choice_name) return;
+
+    option.choices.push({
+      name: row.choice_name,
+      priceDeltaPence: csvNumber(row.choice_price_delta_pence),
+      allergens: splitList(row.choice_allergens),
+      displayOrder: csvNumber(row.choice_order)
+    });
+  });
+
+  return { format: MENU_FORMAT, version: MENU_FORMAT_VERSION, categories };
+}
@@ -0,0 +1,160 @@
+import { supabase } from '../lib/supabase.js';
+
+// Choice id submitted for a modifier (frontend sends choiceId, older carts used id)
+export function modifierChoiceId(modifier) {
+  return modifier?.choiceId || modifier?.id || null;
+}
+
+/**
+ * Load options, choices and conditional links for a set of menu items.
+ * Returns a Map of itemId -> { options, conditionals }.
+ */
+export async function loadItemOptions(itemIds) {
+  const result = new Map(itemIds.map(id => [id, { options: [], conditionals: [] }]));
+  if (itemIds.length === 0) return result;
+
+  const { data: options, error: optionsError } = await supabase
+    .from('menu_options')
+    .select(`
+      id,
+      item_id,
+      name,
+      type,
+      required,
+      display_order,
+      menu_option_choices (
+        id,
+        name,
+        price_delta_pence,
+        allergens,
+        display_order
+      )
+    `)
+    .in('item_id', itemIds)
+    .order('display_order');
+
+  if (optionsError) throw optionsError;
+
+  const optionIds = options.map(option => option.id);
+  let conditionals = [];
+  if (optionIds.length > 0) {
+    const { data, error: conditionalError } = await supabase
+      .from('menu_conditional_options')
+      .select('parent_option_id, parent_choice_id, dependent_option_id')
+      .in('parent_option_id', optionIds);
+
+    if (conditionalError) throw conditionalError;
+    conditionals = data || [];
+  }
+
+  const itemByOption = new Map();
+  options.forEach(option => {
+    itemByOption.set(option.id, option.item_id);
+    result.get(option.item_id)?.options.push(option);
+  });
+  conditionals.forEach(cond => {
+    result.get(itemByOption.get(cond.parent_option_id))?.conditionals.push(cond);
+  });
+
+  return result;
+}
+
+/**
+ * Check a line's modifiers against the item's options. Every choice must belong to
+ * the item, radio options take at most one choice, required options need a
+ * selection, and a dependent option is only accepted (and only required) while one
+ * of its parent choices is selected.
+ *
+ * Returns { errors, modifiers } where modifiers are normalised from the menu rows.
+ */
+export function validateModifiers(itemOptions, submitted = []) {
+  const { options = [], conditionals = [] } = itemOptions || {};
+  const errors = [];
+
+  // Clients may send null for "no modifiers"; anything else must be a list
+  if (submitted === null) submitted = [];
+  if (!Array.isArray(submitted)) {
+    errors.push({ optionId: null, optionName: null, reason: 'Modifiers must be a list' });
+    return { errors, modifiers: [] };
+  }
+
+  const choiceIndex = new Map();
+  options.forEach(option => {
+    (option.menu_option_choices || []).forEach(choice => {
+      choiceIndex.set(choice.id, { option, choice });
+    });
+  });
+
+  // Group the submitted choices by option
+  const selected = new Map();
+  for (const modifier of submitted) {
+    const choiceId = modifierChoiceId(modifier);
+    const match = choiceIndex.get(choiceId);
+    if (!match) {
+      errors.push({
+        optionId: modifier?.optionId || null,
+        optionName: null,
+        choiceId,
+        reason: 'Choice does not belong to this item'
+      });
+      continue;
+    }
+    const choices = selected.get(match.option.id) || [];
+    if (choices.some(c => c.id === choiceId)) {
+      errors.push({
+        optionId: match.option.id,
+        optionName: match.option.name,
+        choiceId,
+        reason: 'Choice selected more than once'
+      });
+      continue;
+    }
+    choices.push(match.choice);
+    selected.set(match.option.id, choices);
+  }
+
+  const selectedChoiceIds = new Set([...selected.values()].flat().map(choice => choice.id));
+  const optionNames = new Map(options.map(option => [option.id, option.name]));
+  const choiceNames = new Map([...choiceIndex].map(([id, { choice }]) => [id, choice.name]));
+
+  for (const option of options) {
+    const parents = conditionals.filter(cond => cond.dependent_option_id === option.id);
+    const isActive = parents.length === 0 ||
+      parents.some(cond => selectedChoiceIds.has(cond.parent_choice_id));
+    const choices = selected.get(option.id) || [];
+
+    if (!isActive) {
+      if (choices.length > 0) {
+        const requires = parents
+          .map(cond => `${optionNames.get(cond.parent_option_id)}: ${choiceNames.get(cond.parent_choice_id)}`)
+          .join(' or ');
+        errors.push({
+          optionId: option.id,
+          optionName: option.name,
+          reason: `Only available when ${requires} is selected`
+        });
+      }
+      continue;
+    }
+
+    if (option.required && choices.length === 0) {
+      errors.push({ optionId: option.id, optionName: option.name, reason: 'Selection required' });
+    }
+    if (option.type === 'radio' && choices.length > 1) {
+      errors.push({ optionId: option.id, optionName: option.name, reason: 'Only one choice allowed' });
+    }
+  }
+
+  const modifiers = options.flatMap(option =>
+    (selected.get(option.id) || []).map(choice => ({
+      optionId: option.id,
+      optionName: option.name,
+      choiceId: choice.id,
+      name: choice.name,
+      priceDeltaPence: choice.price_delta_pence || 0,
+      allergens: choice.allergens || []
+    }))
+  );
+
+  return { errors, modifiers };
+}
@@ -0,0 +1,71 @@
+import { supabase } from '../lib/supabase.js';
+import { emailService } from '../lib/email.js';
+
+// Statuses that notify the customer when a store has not configured its own list
+export const DEFAULT_NOTIFY_STATUSES = ['confirmed', 'ready', 'out_for_delivery', 'cancelled'];
+
+async function loadNotifySettings(store) {
+  const { data, error } = await supabase
+    .from('store_config')
+    .select('notify_on_statuses, collection_lead_time_minutes, delivery_lead_time_minutes')
+    .eq('id', store)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || {};
+}
+
+/**
+ * Email the customer about a status change if the store notifies on that status,
+ * using the contact details checkout stored on the order row. The email goes
+ * through the outbox; every notification queued is appended to orders.notifications_sent
+ * by the append_order_notification function.
+ *
+ * Returns { sent, skipped } where skipped explains why nothing was sent.
+ */
+export async function notifyStatusChange(order, status, { reason = null, etaMinutes = null, store = 'default' } = {}) {
+  const settings = await loadNotifySettings(store);
+  const notifyOn = settings.notify_on_statuses || DEFAULT_NOTIFY_STATUSES;
+
+  if (!notifyOn.includes(status)) {
+    return { sent: false, skipped: 'Status not configured to notify' };
+  }
+  if (!order.contact_email) {
+    return { sent: false, skipped: 'No contact email on order' };
+  }
+
+  // Fall back to the store's lead time when staff did not give an ETA
+  const eta = etaMinutes || (status === 'confirmed'
+    ? (order.mode === 'delivery' ? settings.delivery_lead_time_minutes : settings.collection_lead_time_minutes)
+    : null);
+
+  const result = await emailService.sendOrderUpdate(
+    {
+      contact: {
+        name: `${order.first_name} ${order.last_name || ''}`.trim(),
+        email: order.contact_email
+      },
+      orderId: order.id,
+      mode: order.mode,
+      language: order.language,
+      store
+    },
+    status,
+    { etaMinutes: eta, reason }
+  );
+
+  const entry = {
+    status,
+    channel: 'email',
+    to: order.contact_email,
+    success: result.success,
+    outboxId: result.id || null,
+    sentAt: new Date().toISOString()
+  };
+
+  const { error } = await supabase.rpc('append_order_notification', { p_order_id: order.id, p_entry: entry });
+
+  if (error) throw error;
+
+  return { sent: result.success, skipped: null };
+}
@@ -0,0 +1,241 @@
+import { supabase } from '../lib/supabase.js';
+import { releaseRedemption } from './promos.js';
+import { releaseOrderStock } from './availability.js';
+import { releaseOrderSlot } from './slots.js';
+
+export const ORDER_STATUSES = [
+  'processing',
+  'pending',
+  'confirmed',
+  'preparing',
+  'ready',
+  'out_for_delivery',
+  'delivered',
+  'cancelled',
+  'complete'
+];
+
+// Allowed next statuses per mode. 'ready' means ready for collection, so delivery
+// orders go out_for_delivery -> delivered instead.
+const TRANSITIONS = {
+  collection: {
+    processing: ['pending', 'confirmed', 'cancelled'],
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['complete', 'cancelled'],
+    cancelled: [],
+    complete: []
+  },
+  delivery: {
+    processing: ['pending', 'confirmed', 'cancelled'],
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['preparing', 'cancelled'],
+    preparing: ['out_for_delivery', 'cancelled'],
+    out_for_delivery: ['delivered', 'cancelled'],
+    delivered: ['complete'],
+    cancelled: [],
+    complete: []
+  }
+};
+
+export function allowedNextStatuses(mode, status) {
+  return TRANSITIONS[mode]?.[status] || [];
+}
+
+export async function recordStatusHistory({ orderId, fromStatus = null, toStatus, actor = 'system', actorUserId = null, reason = null }) {
+  const { error } = await supabase
+    .from('order_status_history')
+    .insert({
+      order_id: orderId,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor,
+      actor_user_id: actorUserId,
+      reason
+    });
+
+  if (error) throw error;
+}
+
+/**
+ * Move an order to a new status if the mode's transition graph allows it.
+ * Returns { order, fromStatus } on success, { notFound: true } or
+ * { invalid: true, currentStatus, allowed } otherwise.
+ */
+export async function transitionOrder({ orderId, toStatus, actor, actorUserId = null, reason = null }) {
+  const { data: current, error: fetchError } = await supabase
+    .from('orders')
+    .select('id, mode, status')
+    .eq('id', orderId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!current) return { notFound: true };
+
+  const allowed = allowedNextStatuses(current.mode, current.status);
+  if (!allowed.includes(toStatus)) {
+    return { invalid: true, currentStatus: current.status, allowed };
+  }
+
+  // Only update if nobody else moved the order in the meantime
+  const { data: updated, error: updateError } = await supabase
+    .from('orders')
+    .update({ status: toStatus, updated_at: new Date().toISOString() })
+    .eq('id', orderId)
+    .eq('status', current.status)
+    .select();
+
+  if (updateError) throw updateError;
+
+  if (!updated || updated.length === 0) {
+    const { data: latest } = await supabase
+      .from('orders')
+      .select('status')
+      .eq('id', orderId)
+      .single();
+    const currentStatus = latest?.status || current.status;
+    return { invalid: true, currentStatus, allowed: allowedNextStatuses(current.mode, currentStatus) };
+  }
+
+  // The status has changed; a lost history row must not report the change as failed
+  try {
+    await recordStatusHistory({
+      orderId,
+      fromStatus: current.status,
+      toStatus,
+      actor,
+      actorUserId,
+      reason
+    });
+  } catch (historyError) {
+    console.error(`Status history error for order ${orderId}:`, historyError);
+  }
+
+  return { order: updated[0], fromStatus: current.status };
+}
+
+/**
+ * Give a cancelled order's promo code redemption, daily stock and slot back.
+ * Each release is tried even if another fails, and each is safe to repeat, so a
+ * failed run is simply retried later. orders.holds_released_at is set once all
+ * three have succeeded. Returns { released, errors }.
+ */
+export async function releaseCancelledOrder(orderId) {
+  const results = await Promise.allSettled([
+    releaseRedemption(orderId),
+    releaseOrderStock(orderId),
+    releaseOrderSlot(orderId)
+  ]);
+  const errors = results.filter(result => result.status === 'rejected').map(result => result.reason);
+  if (errors.length > 0) return { released: false, errors };
+
+  const { error } = await supabase
+    .from('orders')
+    .update({ holds_released_at: new Date().toISOString() })
+    .eq('id', orderId);
+
+  if (error) return { released: false, errors: [error] };
+  return { released: true, errors: [] };
+}
+
+// Retry releases for cancelled orders that still hold something; returns how many finished
+export async function retryCancelledReleases() {
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id')
+    .eq('status', 'cancelled')
+    .is('holds_released_at', null);
+
+  if (error) throw error;
+
+  let released = 0;
+  for (const order of data || []) {
+    const result = await releaseCancelledOrder(order.id);
+    if (result.released) {
+      released++;
+    } else {
+      console.error(`Release retry failed for cancelled order ${order.id}:`, result.errors);
+    }
+  }
+  return released;
+}
+
+// Status changes for an order, oldest first
+export async function getOrderTimeline(orderId) {
+  const { data, error } = await supabase
+    .from('order_status_history')
+    .select('from_status, to_status, actor, actor_user_id, reason, created_at')
+    .eq('order_id', orderId)
+    .order('created_at');
+
+  if (error) throw error;
+
+  return (data || []).map(entry => ({
+    fromStatus: entry.from_status,
+    toStatus: entry.to_status,
+    actor: entry.actor,
+    actorUserId: entry.actor_user_id,
+    reason: entry.reason,
+    at: entry.created_at
+  }));
+}
+
+// Statuses the kitchen still has to act on
+const OPEN_STATUSES = ['processing', 'pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
+/**
+ * Open orders for the kitchen, soonest wanted first. A pre-order (one with a
+ * requested_time) joins the queue store_config.preorder_release_minutes before
+ * it is due; until then it is listed under scheduled.
+ */
+export async function listKitchenOrders({ now = new Date(), store = 'default' } = {}) {
+  const { data: config, error: configError } = await supabase
+    .from('store_config')
+    .select('preorder_release_minutes')
+    .eq('id', store)
+    .maybeSingle();
+
+  if (configError) throw configError;
+  const releaseMinutes = config?.preorder_release_minutes ?? 60;
+
+  const { data, error } = await supabase
+    .from('orders')
+    .select('id, mode, status, first_name, last_name, requested_time, time_placed, total_pence, comment, order_items (item_name, quantity, modifiers)')
+    .in('status', OPEN_STATUSES)
+    .order('time_placed');
+
+  if (error) throw error;
+
+  const orders = (data || []).map(order => {
+    const releaseAt = order.requested_time
+      ? new Date(new Date(order.requested_time).getTime() - releaseMinutes * 60 * 1000)
+      : null;
+    return {
+      orderId: order.id,
+      mode: order.mode,
+      status: order.status,
+      customerName: `${order.first_name} ${order.last_name || ''}`.trim(),
+      requestedTime: order.requested_time,
+      releaseAt: releaseAt?.toISOString() ?? null,
+      timePlaced: order.time_placed,
+      totalPence: order.total_pence,
+      comment: order.comment,
+      items: (order.order_items || []).map(item => ({
+        name: item.item_name,
+        qty: item.quantity,
+        modifiers: item.modifiers
+      })),
+      released: !releaseAt || releaseAt <= now,
+      dueAt: new Date(order.requested_time || order.time_placed).getTime()
+    };
+  });
+
+  const byDue = (a, b) => a.dueAt - b.dueAt;
+  const strip = ({ released, dueAt, ...order }) => order;
+  return {
+    releaseMinutes,
+    queue: orders.filter(order => order.released).sort(byDue).map(strip),
+    scheduled: orders.filter(order => !order.released).sort(byDue).map(strip)
+  };
+}
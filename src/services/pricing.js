@@ -0,0 +1,160 @@
+import { supabase } from '../lib/supabase.js';
+import { quoteDelivery } from './delivery.js';
+import { applyDiscounts } from './discounts.js';
+import { loadItemOptions, validateModifiers } from './modifiers.js';
+import { validatePromoCode } from './promos.js';
+import { AVAILABILITY_COLUMNS, loadAvailability } from './availability.js';
+
+/**
+ * Rebuild cart lines from menu_items and menu_option_choices. Prices sent by the
+ * client are ignored; anything that cannot be priced, cannot be ordered right now
+ * (sold out, outside its schedule, not enough stock) or whose modifiers do not
+ * validate against the item's options, is returned in invalidItems.
+ */
+export async function priceCartItems(cartItems, { now = new Date() } = {}) {
+  const itemIds = [...new Set(cartItems.map(item => item.id || item.itemId).filter(Boolean))];
+
+  const { data: menuItems, error: itemsError } = await supabase
+    .from('menu_items')
+    .select(`id, name, price_pence, category_id, allergens, ${AVAILABILITY_COLUMNS}`)
+    .in('id', itemIds)
+    .is('deleted_at', null);
+
+  if (itemsError) throw itemsError;
+
+  const itemsById = new Map(menuItems.map(item => [item.id, item]));
+  const optionsByItem = await loadItemOptions([...itemsById.keys()]);
+  const availability = await loadAvailability(menuItems, { now });
+
+  // Quantity of each item across the whole cart, for daily stock
+  const qtyByItem = new Map();
+  cartItems.forEach(cartItem => {
+    const itemId = cartItem.id || cartItem.itemId;
+    qtyByItem.set(itemId, (qtyByItem.get(itemId) || 0) + (Number(cartItem.qty) || 0));
+  });
+
+  const lines = [];
+  const invalidItems = [];
+
+  cartItems.forEach((cartItem, index) => {
+    const itemId = cartItem.id || cartItem.itemId;
+    const qty = Number(cartItem.qty);
+    const menuItem = itemsById.get(itemId);
+
+    if (!menuItem) {
+      invalidItems.push({ index, itemId, reason: 'Item not found' });
+      return;
+    }
+    if (!Number.isInteger(qty) || qty < 1) {
+      invalidItems.push({ index, itemId, reason: 'Invalid quantity' });
+      return;
+    }
+
+    const status = availability.get(itemId);
+    if (!status.available) {
+      invalidItems.push({ index, itemId, reason: 'Item unavailable', unavailableReason: status.reason });
+      return;
+    }
+    if (status.stockRemaining !== null && qtyByItem.get(itemId) > status.stockRemaining) {
+      invalidItems.push({ index, itemId, reason: 'Not enough stock', stockRemaining: status.stockRemaining });
+      return;
+    }
+
+    const { errors, modifiers } = validateModifiers(optionsByItem.get(itemId), cartItem.modifiers);
+    if (errors.length > 0) {
+      invalidItems.push({ index, itemId, reason: 'Invalid modifiers', modifierErrors: errors });
+      return;
+    }
+
+    const unitPricePence = menuItem.price_pence +
+      modifiers.reduce((sum, m) => sum + m.priceDeltaPence, 0);
+
+    lines.push({
+      index,
+      itemId,
+      categoryId: menuItem.category_id,
+      name: menuItem.name,
+      qty,
+      unitPricePence,
+      totalPricePence: unitPricePence * qty,
+      allergens: menuItem.allergens || [],
+      modifiers
+    });
+  });
+
+  return { lines, invalidItems };
+}
+
+/**
+ * Price a whole order: lines, delivery fee from quoteDelivery, discounts
+ * (including any free items) from the discount engine and an optional promo code
+ * checked against the customer.
+ */
+export async function priceOrder({ cartItems, mode, postcode, address, store = 'default', promoCode = null, customer = {} }) {
+  const { lines, invalidItems } = await priceCartItems(cartItems);
+  if (invalidItems.length > 0) {
+    return { lines, invalidItems };
+  }
+
+  const subtotalPence = lines.reduce((sum, line) => sum + line.totalPricePence, 0);
+  const quote = await quoteDelivery({ mode, postcode, address, subtotalPence, store });
+  const deliveryFeePence = mode === 'delivery' ? quote.feePence : 0;
+
+  const discounts = await applyDiscounts({ lines, mode });
+
+  // Promo codes apply to whatever is left after the automatic discounts
+  let promo = null;
+  if (promoCode) {
+    promo = await validatePromoCode({
+      code: promoCode,
+      userId: customer.userId,
+      email: customer.email,
+      subtotalPence: subtotalPence - discounts.discountPence
+    });
+  }
+
+  const promoDiscountPence = promo?.valid ? promo.amountPence : 0;
+  const discountPence = discounts.discountPence + promoDiscountPence;
+
+  return {
+    lines,
+    invalidItems,
+    quote,
+    discounts,
+    promo,
+    subtotalPence,
+    deliveryFeePence,
+    discountPence,
+    promoDiscountPence,
+    totalPence: subtotalPence + deliveryFeePence - discountPence
+  };
+}
+
+/**
+ * Compare the amounts a client submitted with the server-side pricing.
+ * Returns a list of { field, expected, submitted } for every disagreement.
+ */
+export function diffSubmittedTotals(pricing, submitted) {
+  const mismatches = [];
+
+  for (const field of ['subtotalPence', 'deliveryFeePence', 'discountPence', 'totalPence']) {
+    if (submitted[field] === undefined) continue;
+    if (Number(submitted[field]) !== pricing[field]) {
+      mismatches.push({ field, expected: pricing[field], submitted: submitted[field] });
+    }
+  }
+
+  pricing.lines.forEach(line => {
+    const cartItem = submitted.cartItems[line.index];
+    if (cartItem.price !== undefined && Number(cartItem.price) !== line.unitPricePence) {
+      mismatches.push({
+        field: `cartItems[${line.index}].price`,
+        itemId: line.itemId,
+        expected: line.unitPricePence,
+        submitted: cartItem.price
+      });
+    }
+  });
+
+  return mismatches;
+}
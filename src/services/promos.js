@@ -0,0 +1,166 @@
+import { supabase } from '../lib/supabase.js';
+
+export function normalizePromoCode(raw = '') {
+  return (raw || '').trim().toUpperCase();
+}
+
+function promoAmountPence(promo, subtotalPence) {
+  const value = Number(promo.discount_value) || 0;
+  if (promo.type === 'percentage') {
+    return Math.round(subtotalPence * value / 100);
+  }
+  return Math.min(Math.round(value * 100), subtotalPence);
+}
+
+// Live (not released) redemptions of a promo
+function liveRedemptions(promoId) {
+  return supabase
+    .from('promo_redemptions')
+    .select('id')
+    .eq('promo_code_id', promoId)
+    .is('released_at', null);
+}
+
+/**
+ * Count live redemptions, optionally for one customer: by account or by email
+ * (lower case), each matched exactly in its own query and counted once.
+ */
+async function countRedemptions(promoId, { userId, email } = {}) {
+  if (!userId && !email) {
+    const { data, error } = await liveRedemptions(promoId);
+    if (error) throw error;
+    return data.length;
+  }
+
+  const queries = [];
+  if (userId) queries.push(liveRedemptions(promoId).eq('user_id', userId));
+  if (email) queries.push(liveRedemptions(promoId).eq('customer_email', email));
+
+  const ids = new Set();
+  for (const { data, error } of await Promise.all(queries)) {
+    if (error) throw error;
+    data.forEach(row => ids.add(row.id));
+  }
+  return ids.size;
+}
+
+// Has this customer (by account or email) placed a non-cancelled order before?
+async function hasPreviousOrder({ userId, email }) {
+  const previousOrders = () => supabase
+    .from('orders')
+    .select('id', { count: 'exact', head: true })
+    .neq('status', 'cancelled');
+
+  const queries = [];
+  if (userId) queries.push(previousOrders().eq('user_id', userId));
+  // contact_email_lower is lower(trim(contact_email)), so this is an exact match
+  if (email) queries.push(previousOrders().eq('contact_email_lower', email));
+
+  for (const { count, error } of await Promise.all(queries)) {
+    if (error) throw error;
+    if (count > 0) return true;
+  }
+  return false;
+}
+
+/**
+ * Check a promo code for a customer and order subtotal.
+ * Returns { valid, reason, promo, amountPence }.
+ */
+export async function validatePromoCode({ code, userId = null, email, subtotalPence, now = new Date() }) {
+  const normalized = normalizePromoCode(code);
+  const customerEmail = (email || '').trim().toLowerCase();
+
+  const { data: promo, error } = await supabase
+    .from('promo_codes')
+    .select('*')
+    .eq('code', normalized)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const invalid = reason => ({ valid: false, reason, promo: null, amountPence: 0 });
+
+  if (!promo) return invalid('Invalid promo code');
+  if (promo.expires_at && now > new Date(promo.expires_at)) return invalid('Promo code has expired');
+  if (subtotalPence < (promo.min_spend_pence || 0)) {
+    return invalid(`Minimum spend for this code is £${(promo.min_spend_pence / 100).toFixed(2)}`);
+  }
+
+  if (promo.max_redemptions !== null && promo.max_redemptions !== undefined) {
+    if (await countRedemptions(promo.id) >= promo.max_redemptions) {
+      return invalid('Promo code is no longer available');
+    }
+  }
+
+  if (promo.max_per_customer !== null && promo.max_per_customer !== undefined) {
+    const used = await countRedemptions(promo.id, { userId, email: customerEmail });
+    if (used >= promo.max_per_customer) return invalid('You have already used this promo code');
+  }
+
+  if (promo.first_order_only && await hasPreviousOrder({ userId, email: customerEmail })) {
+    return invalid('Promo code is only valid on your first order');
+  }
+
+  return { valid: true, reason: null, promo, amountPence: promoAmountPence(promo, subtotalPence) };
+}
+
+const CAP_REASONS = {
+  max_redemptions: 'Promo code is no longer available',
+  max_per_customer: 'You have already used this promo code'
+};
+
+/**
+ * Take a redemption for an order about to be placed. The caps are re-checked and
+ * the row inserted in one locked database call (reserve_promo_redemption), so
+ * concurrent checkouts cannot overshoot them. Returns { redemptionId } or
+ * { invalid: reason }; attach the order with attachRedemption once it is saved.
+ */
+export async function reservePromoRedemption({ promo, userId = null, email, amountPence }) {
+  const { data, error } = await supabase.rpc('reserve_promo_redemption', {
+    p_promo_code_id: promo.id,
+    p_user_id: userId,
+    p_customer_email: (email || '').trim().toLowerCase(),
+    p_amount_pence: amountPence
+  });
+
+  if (error) throw error;
+  const [result] = data || [];
+  if (!result?.redemption_id) {
+    return { invalid: CAP_REASONS[result?.refused] || 'Promo code is no longer available' };
+  }
+  return { redemptionId: result.redemption_id };
+}
+
+// Link a reserved redemption to the order (and account) it was used on
+export async function attachRedemption(redemptionId, { orderId, userId = null }) {
+  const { error } = await supabase
+    .from('promo_redemptions')
+    .update({ order_id: orderId, user_id: userId })
+    .eq('id', redemptionId);
+
+  if (error) throw error;
+}
+
+// Drop a reserved redemption whose order could not be placed
+export async function cancelRedemption(redemptionId) {
+  const { error } = await supabase
+    .from('promo_redemptions')
+    .delete()
+    .eq('id', redemptionId)
+    .is('order_id', null);
+
+  if (error) throw error;
+}
+
+// Give a cancelled order's redemption back so the customer can use the code again
+export async function releaseRedemption(orderId) {
+  const { error } = await supabase
+    .from('promo_redemptions')
+    .update({ released_at: new Date().toISOString() })
+    .eq('order_id', orderId)
+    .is('released_at', null);
+
+  if (error) throw error;
+}
@@ -0,0 +1,357 @@
+import { supabase } from '../lib/supabase.js';
+import { storeClock, addDays, businessDate } from '../lib/storeTime.js';
+import { resolveCalendar, closureAt } from './storeCalendar.js';
+
+export const SLOT_MODES = ['collection', 'delivery'];
+
+// Used when store_config leaves a setting empty
+const MODE_DEFAULTS = {
+  collection: { leadTimeMinutes: 15, bufferMinutes: 15, intervalMinutes: 15 },
+  delivery: { leadTimeMinutes: 45, bufferMinutes: 15, intervalMinutes: 15 }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Lead time, closing buffer, slot interval and capacity for one mode, plus how far ahead customers can order
+async function loadSlotSettings(mode, store) {
+  const { data, error } = await supabase
+    .from('store_config')
+    .select([
+      `${mode}_lead_time_minutes`,
+      `${mode}_buffer_before_close_minutes`,
+      `${mode}_slot_interval_minutes`,
+      `${mode}_slot_max_orders`,
+      `${mode}_slot_max_items`,
+      'preorder_horizon_days',
+      'stock_reset_time'
+    ].join(', '))
+    .eq('id', store)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const defaults = MODE_DEFAULTS[mode];
+  return {
+    leadTimeMinutes: data[`${mode}_lead_time_minutes`] ?? defaults.leadTimeMinutes,
+    bufferMinutes: data[`${mode}_buffer_before_close_minutes`] ?? defaults.bufferMinutes,
+    intervalMinutes: data[`${mode}_slot_interval_minutes`] || defaults.intervalMinutes,
+    maxOrders: data[`${mode}_slot_max_orders`] ?? null,
+    maxItems: data[`${mode}_slot_max_items`] ?? null,
+    horizonDays: data.preorder_horizon_days ?? 7,
+    resetTime: (data.stock_reset_time || '04:00').slice(0, 5)
+  };
+}
+
+// The day's capacity: a slot_capacity_overrides row for the date, else the store defaults
+async function loadCapacity(settings, mode, store, date) {
+  const { data, error } = await supabase
+    .from('slot_capacity_overrides')
+    .select('max_orders, max_items')
+    .eq('store_id', store)
+    .eq('mode', mode)
+    .eq('service_date', date)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data
+    ? { maxOrders: data.max_orders, maxItems: data.max_items }
+    : { maxOrders: settings.maxOrders, maxItems: settings.maxItems };
+}
+
+// Orders and items already booked per slot start (ms) between two instants
+async function loadBookings(mode, store, from, until) {
+  const bookings = new Map();
+  const { data, error } = await supabase
+    .from('slot_bookings')
+    .select('slot_start, orders, items')
+    .eq('store_id', store)
+    .eq('mode', mode)
+    .gte('slot_start', from.toISOString())
+    .lte('slot_start', until.toISOString());
+
+  if (error) throw error;
+  (data || []).forEach(row => bookings.set(new Date(row.slot_start).getTime(), row));
+  return bookings;
+}
+
+// What is left in a slot, or null when the day has no limits
+function remainingCapacity(capacity, booked) {
+  if (capacity.maxOrders === null && capacity.maxItems === null) return null;
+  return {
+    orders: capacity.maxOrders === null ? null : Math.max(capacity.maxOrders - (booked?.orders || 0), 0),
+    items: capacity.maxItems === null ? null : Math.max(capacity.maxItems - (booked?.items || 0), 0)
+  };
+}
+
+// Whether an order of this many items still fits
+function fits(remaining, items) {
+  if (!remaining) return true;
+  if (remaining.orders !== null && remaining.orders < 1) return false;
+  return remaining.items === null || remaining.items >= Math.max(items, 1);
+}
+
+// Zone details the slot engine needs from a delivery quote
+export function deliveryZone(quote) {
+  if (!quote?.isDeliverable || !quote.zone) return null;
+  return { name: quote.zone, extraLeadTimeMinutes: quote.extraLeadTimeMinutes || 0 };
+}
+
+/**
+ * Collection or delivery slots for a trading day, from the store calendar
+ * (weekly hours, special hours and closures). date is the day the opening
+ * period starts (default: the current trading day), so late-night slots after
+ * midnight belong to the evening they started. Slots are stepped in real time,
+ * so clock changes neither skip nor repeat a slot.
+ *
+ * zone is the customer's delivery zone ({ name, extraLeadTimeMinutes }) when known;
+ * items is the size of the order being placed, for slots with an item limit.
+ *
+ * Every slot in the opening hours is returned with available, remaining capacity
+ * and, when excluded, reason: 'past', 'too_soon' (inside the lead time), 'closing'
+ * (inside the buffer before close), 'holiday' (a closure; see message) or 'full'. Days further ahead than
+ * store_config.preorder_horizon_days have no slots (reason 'too_far_ahead').
+ * Returns { notFound } for an unknown store.
+ */
+export async function getSlots({ mode, date = null, store = 'default', zone = null, items = 0, now = new Date() }) {
+  const settings = await loadSlotSettings(mode, store);
+  if (!settings) return { notFound: true };
+
+  const today = businessDate(now, settings.resetTime);
+  const targetDate = date || today;
+  const lastDate = addDays(today, settings.horizonDays);
+  const leadTimeMinutes = settings.leadTimeMinutes + (zone?.extraLeadTimeMinutes || 0);
+
+  // The next day's closures cover periods that run past midnight
+  const [days, capacity] = await Promise.all([
+    resolveCalendar(targetDate, addDays(targetDate, 1)),
+    loadCapacity(settings, mode, store, targetDate)
+  ]);
+
+  const periods = targetDate > lastDate ? [] : days[0].periods;
+  const bookings = periods.length > 0 && remainingCapacity(capacity, null)
+    ? await loadBookings(
+      mode,
+      store,
+      new Date(Math.min(...periods.map(period => period.opensAt.getTime()))),
+      new Date(Math.max(...periods.map(period => period.closesAt.getTime())))
+    )
+    : new Map();
+
+  const intervalMs = settings.intervalMinutes * MINUTE_MS;
+  const earliest = now.getTime() + leadTimeMinutes * MINUTE_MS;
+  const slotsByStart = new Map();
+
+  periods.forEach(period => {
+    const lastStart = period.closesAt.getTime() - settings.bufferMinutes * MINUTE_MS;
+
+    for (let start = period.opensAt.getTime(); start < period.closesAt.getTime(); start += intervalMs) {
+      const clock = storeClock(new Date(start));
+      const remaining = remainingCapacity(capacity, bookings.get(start));
+      let reason = null;
+      if (closureAt(days, new Date(start))) reason = 'holiday';
+      else if (start < now.getTime()) reason = 'past';
+      else if (start < earliest) reason = 'too_soon';
+      else if (start >= lastStart) reason = 'closing';
+      else if (!fits(remaining, items)) reason = 'full';
+
+      // Overlapping periods: keep the slot if either period allows it
+      const existing = slotsByStart.get(start);
+      if (existing && existing.available) continue;
+
+      slotsByStart.set(start, {
+        startsAt: new Date(start).toISOString(),
+        date: clock.date,
+        time: clock.time,
+        label: `${clock.time} - ${storeClock(new Date(start + intervalMs)).time}`,
+        available: reason === null,
+        reason,
+        remaining
+      });
+    }
+  });
+
+  const slots = [...slotsByStart.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, slot]) => slot);
+
+  let reason = null;
+  if (targetDate > lastDate) reason = 'too_far_ahead';
+  else if (slots.length === 0) reason = 'closed';
+  else if (!slots.some(slot => slot.available)) reason = 'no_slots_available';
+
+  return {
+    mode,
+    date: targetDate,
+    intervalMinutes: settings.intervalMinutes,
+    leadTimeMinutes,
+    lastDate,
+    special: days[0].special,
+    message: days[0].message,
+    zone: zone?.name ?? null,
+    capacity,
+    slots,
+    reason
+  };
+}
+
+function nextOpenSlot(slots, after) {
+  return slots.find(slot => slot.available && new Date(slot.startsAt) > after) || null;
+}
+
+// The first open slot after an instant, looking no further ahead than the horizon
+async function findNextSlot({ mode, store, zone, items, now, after }) {
+  const settings = await loadSlotSettings(mode, store);
+  const today = businessDate(now, settings.resetTime);
+  const lastDate = addDays(today, settings.horizonDays);
+
+  let date = businessDate(after, settings.resetTime);
+  if (date < today) date = today;
+  for (; date <= lastDate; date = addDays(date, 1)) {
+    const day = await getSlots({ mode, date, store, zone, items, now });
+    const slot = nextOpenSlot(day.slots, after);
+    if (slot) return slot;
+  }
+  return null;
+}
+
+/**
+ * Book a slot for an order. The slot must be one getSlots offers right now; the
+ * booking itself is a single statement (reserve_slot) so two checkouts
+ * cannot both take the last place. Returns { reservation }, { invalid } for a time
+ * that is not an open slot, or { full, nextSlot } when it has filled up.
+ */
+export async function reserveSlot({ mode, startsAt, items, store = 'default', zone = null, now = new Date() }) {
+  const start = new Date(startsAt);
+  if (Number.isNaN(start.getTime())) return { invalid: 'Invalid requested time' };
+
+  const settings = await loadSlotSettings(mode, store);
+  if (!settings) return { invalid: 'Store not found' };
+
+  const date = businessDate(start, settings.resetTime);
+  const day = await getSlots({ mode, date, store, zone, items, now });
+  if (day.reason === 'too_far_ahead') return { invalid: `Orders can only be placed up to ${day.lastDate}`, reason: day.reason };
+
+  const slot = day.slots.find(candidate => new Date(candidate.startsAt).getTime() === start.getTime());
+  if (!slot) return { invalid: 'Requested time is not a slot' };
+
+  const full = async () => ({ full: true, nextSlot: await findNextSlot({ mode, store, zone, items, now, after: start }) });
+  if (slot.reason === 'full') return full();
+  if (!slot.available) return { invalid: `Requested time is unavailable (${slot.reason})`, reason: slot.reason };
+
+  const { data: ok, error } = await supabase.rpc('reserve_slot', {
+    p_store_id: store,
+    p_mode: mode,
+    p_slot_start: slot.startsAt,
+    p_orders: 1,
+    p_items: items,
+    p_max_orders: day.capacity.maxOrders,
+    p_max_items: day.capacity.maxItems
+  });
+
+  if (error) throw error;
+  // Someone else took the last place; offer the next slot that still has room
+  if (!ok) return full();
+
+  return { reservation: { storeId: store, mode, slotStart: slot.startsAt, items } };
+}
+
+/**
+ * Book the time a customer asked for at checkout: 'asap' (or nothing) or the
+ * startsAt of a slot, today or on a later day within the horizon. ASAP takes the
+ * first slot the lead time allows, provided the store is open for it now.
+ * Returns { reservation, requestedTime } (requestedTime null for ASAP),
+ * { invalid }, { full, nextSlot } or { unavailable, nextSlot }.
+ */
+export async function bookRequestedTime({ mode, requestedTime = 'asap', items, store = 'default', zone = null, now = new Date() }) {
+  if (requestedTime && requestedTime !== 'asap') {
+    const booking = await reserveSlot({ mode, startsAt: requestedTime, items, store, zone, now });
+    return booking.reservation ? { ...booking, requestedTime: booking.reservation.slotStart } : booking;
+  }
+
+  const day = await getSlots({ mode, store, zone, items, now });
+  if (day.notFound) return { invalid: 'Store not found' };
+
+  const first = day.slots.find(slot => slot.reason !== 'past' && slot.reason !== 'too_soon');
+  const soonest = now.getTime() + (day.leadTimeMinutes + day.intervalMinutes) * MINUTE_MS;
+  const open = first && new Date(first.startsAt).getTime() <= soonest && (first.available || first.reason === 'full');
+  if (!open) {
+    return {
+      unavailable: 'We are not taking orders for as soon as possible right now',
+      nextSlot: await findNextSlot({ mode, store, zone, items, now, after: now })
+    };
+  }
+
+  const booking = await reserveSlot({ mode, startsAt: first.startsAt, items, store, zone, now });
+  return booking.reservation ? { ...booking, requestedTime: null } : booking;
+}
+
+// Give a booked slot back (failed checkout or cancelled order)
+export async function releaseSlot(reservation) {
+  const { error } = await supabase.rpc('reserve_slot', {
+    p_store_id: reservation.storeId,
+    p_mode: reservation.mode,
+    p_slot_start: reservation.slotStart,
+    p_orders: -1,
+    p_items: -reservation.items,
+    p_max_orders: null,
+    p_max_items: null
+  });
+  if (error) throw error;
+}
+
+// Free a cancelled order's slot, if it booked one (orders.slot_reservation).
+// Releasing and clearing happen in one transaction, so this is safe to retry.
+export async function releaseOrderSlot(orderId) {
+  const { error } = await supabase.rpc('release_order_slot', { p_order_id: orderId });
+  if (error) throw error;
+}
+
+// Per-day capacity overrides between two dates (inclusive)
+export async function listCapacityOverrides({ store = 'default', from, to }) {
+  let query = supabase
+    .from('slot_capacity_overrides')
+    .select('*')
+    .eq('store_id', store)
+    .order('service_date');
+
+  if (from) query = query.gte('service_date', from);
+  if (to) query = query.lte('service_date', to);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// Set one day's capacity for a mode; null limits mean unlimited for that day
+export async function setCapacityOverride({ store = 'default', date, mode, maxOrders = null, maxItems = null, note = null }) {
+  const { data, error } = await supabase
+    .from('slot_capacity_overrides')
+    .upsert({
+      store_id: store,
+      service_date: date,
+      mode,
+      max_orders: maxOrders,
+      max_items: maxItems,
+      note
+    }, { onConflict: 'store_id,service_date,mode' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Back to the store defaults for that day
+export async function deleteCapacityOverride({ store = 'default', date, mode }) {
+  const { data, error } = await supabase
+    .from('slot_capacity_overrides')
+    .delete()
+    .eq('store_id', store)
+    .eq('service_date', date)
+    .eq('mode', mode)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
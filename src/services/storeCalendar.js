@@ -0,0 +1,275 @@
+import { supabase } from '../lib/supabase.js';
+import { storeClock, addDays, zonedTime } from '../lib/storeTime.js';
+
+// store_holidays rows either close the store (all day or for a window) or replace
+// the normal weekly hours for the day with special hours.
+export const EXCEPTION_KINDS = ['closed', 'special_hours'];
+
+// Longest date range one row may cover
+const MAX_RANGE_DAYS = 366;
+
+const MINUTE_MS = 60 * 1000;
+
+const hhmm = time => (time ? time.slice(0, 5) : null);
+
+// Whether a row covers a date, including annual repeats (ranges may wrap the new year)
+function appliesOn(row, date) {
+  const start = row.holiday_date;
+  const end = row.end_date || row.holiday_date;
+  if (!row.recurs_annually) return date >= start && date <= end;
+  if (date < start) return false;
+
+  const day = date.slice(5);
+  const from = start.slice(5);
+  const to = end.slice(5);
+  return from <= to ? day >= from && day <= to : day >= from || day <= to;
+}
+
+// A period from HH:MM times on a date; closing at or before opening runs past midnight
+function period(date, open, close) {
+  const closeDate = close <= open ? addDays(date, 1) : date;
+  return { open, close, opensAt: zonedTime(date, open), closesAt: zonedTime(closeDate, close) };
+}
+
+// A closure on a date: the whole day, or start_time to end_time inclusive of the last minute
+function closure(row, date) {
+  const start = hhmm(row.start_time);
+  const end = hhmm(row.end_time);
+  const allDay = !start || !end;
+  return {
+    id: row.id,
+    name: row.name || null,
+    message: row.message || null,
+    allDay,
+    startsAt: zonedTime(date, allDay ? '00:00' : start),
+    endsAt: allDay
+      ? zonedTime(addDays(date, 1), '00:00')
+      : new Date(zonedTime(end < start ? addDays(date, 1) : date, end).getTime() + MINUTE_MS)
+  };
+}
+
+async function loadExceptions(from, to) {
+  const { data, error } = await supabase
+    .from('store_holidays')
+    .select('*')
+    .or(`recurs_annually.eq.true,and(holiday_date.lte.${to},end_date.gte.${from}),and(end_date.is.null,holiday_date.gte.${from},holiday_date.lte.${to})`);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The store's hours for each date from..to after closures and special hours:
+ * { date, dayOfWeek, special, closedAllDay, periods, closures, message }.
+ * periods are the opening periods that start on the date ({ open, close,
+ * opensAt, closesAt }); closures are the closed windows on the date.
+ */
+export async function resolveCalendar(from, to) {
+  const [{ data: hours, error: hoursError }, exceptions] = await Promise.all([
+    supabase
+      .from('store_opening_hours')
+      .select('*')
+      .order('open_time'),
+    loadExceptions(from, to)
+  ]);
+
+  if (hoursError) throw hoursError;
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const dayOfWeek = new Date(`${date}T00:00:00Z`).getUTCDay();
+    const applying = exceptions.filter(row => appliesOn(row, date));
+    const special = applying.filter(row => row.kind === 'special_hours' && row.start_time && row.end_time);
+    const closures = applying.filter(row => row.kind !== 'special_hours').map(row => closure(row, date));
+    const closedAllDay = closures.some(entry => entry.allDay);
+
+    // Special hours replace the normal day entirely
+    const source = special.length > 0
+      ? special.map(row => ({ open: hhmm(row.start_time), close: hhmm(row.end_time) }))
+      : (hours || [])
+        .filter(row => row.day_of_week === dayOfWeek && !row.is_closed && row.open_time && row.close_time)
+        .map(row => ({ open: hhmm(row.open_time), close: hhmm(row.close_time) }));
+
+    days.push({
+      date,
+      dayOfWeek,
+      special: special.length > 0,
+      closedAllDay,
+      periods: closedAllDay ? [] : source.map(entry => period(date, entry.open, entry.close)),
+      closures,
+      message: [...closures, ...special].map(entry => entry.message).find(Boolean) || null
+    });
+  }
+  return days;
+}
+
+export async function resolveDay(date) {
+  const [day] = await resolveCalendar(date, date);
+  return day;
+}
+
+// The closure covering an instant, if any
+export function closureAt(days, instant) {
+  return days.flatMap(day => day.closures).find(entry => instant >= entry.startsAt && instant < entry.endsAt) || null;
+}
+
+/**
+ * Whether the store is open at an instant. Yesterday's periods count too, for
+ * late-night hours that run past midnight. Returns { isOpen, reason, message, special }.
+ */
+export async function isOpenAt(now = new Date()) {
+  const today = storeClock(now).date;
+  const days = await resolveCalendar(addDays(today, -1), today);
+
+  const closed = closureAt(days, now);
+  if (closed) {
+    return { isOpen: false, reason: 'Closed', message: closed.message, special: false };
+  }
+
+  const openDay = days.find(day => day.periods.some(entry => now >= entry.opensAt && now < entry.closesAt));
+  if (openDay) {
+    return { isOpen: true, reason: 'Open', message: openDay.message, special: openDay.special };
+  }
+
+  const todayHours = days[1];
+  const reason = todayHours.periods.length > 0 ? 'Outside opening hours' : 'Closed today';
+  return { isOpen: false, reason, message: todayHours.message, special: todayHours.special };
+}
+
+// Column values from an API body ({ kind, name, startDate, endDate, startTime, endTime, recursAnnually, message })
+const FIELD_COLUMNS = {
+  kind: 'kind',
+  name: 'name',
+  startDate: 'holiday_date',
+  endDate: 'end_date',
+  startTime: 'start_time',
+  endTime: 'end_time',
+  recursAnnually: 'recurs_annually',
+  message: 'message'
+};
+
+const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+const isTime = value => /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+
+// Problems with a closure or special-hours row as it would be saved
+function validateException(row) {
+  const errors = [];
+  if (!EXCEPTION_KINDS.includes(row.kind)) errors.push('kind must be closed or special_hours');
+  if (!isDate(row.holiday_date || '')) errors.push('startDate must be YYYY-MM-DD');
+  if (row.end_date !== null && row.end_date !== undefined) {
+    if (!isDate(row.end_date)) {
+      errors.push('endDate must be YYYY-MM-DD');
+    } else if (row.end_date < row.holiday_date) {
+      errors.push('endDate must not be before startDate');
+    } else if (isDate(row.holiday_date || '') && addDays(row.holiday_date, MAX_RANGE_DAYS) <= row.end_date) {
+      errors.push(`A range can cover at most ${MAX_RANGE_DAYS} days`);
+    }
+  }
+
+  const hasStart = row.start_time !== null && row.start_time !== undefined;
+  const hasEnd = row.end_time !== null && row.end_time !== undefined;
+  if ((hasStart && !isTime(String(row.start_time).slice(0, 5))) || (hasEnd && !isTime(String(row.end_time).slice(0, 5)))) {
+    errors.push('startTime and endTime must be HH:MM');
+  }
+  if (row.kind === 'special_hours' && (!hasStart || !hasEnd)) {
+    errors.push('Special hours need a startTime and endTime');
+  }
+  if (row.kind === 'closed' && hasStart !== hasEnd) {
+    errors.push('Give both startTime and endTime, or neither for the whole day');
+  }
+  return errors;
+}
+
+function toColumns(body) {
+  const columns = {};
+  Object.entries(FIELD_COLUMNS).forEach(([field, column]) => {
+    if (body[field] !== undefined) columns[column] = body[field] === '' ? null : body[field];
+  });
+  if (columns.recurs_annually !== undefined) columns.recurs_annually = !!columns.recurs_annually;
+  return columns;
+}
+
+// API shape of a store_holidays row
+export function formatException(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    name: row.name,
+    startDate: row.holiday_date,
+    endDate: row.end_date,
+    startTime: hhmm(row.start_time),
+    endTime: hhmm(row.end_time),
+    recursAnnually: row.recurs_annually,
+    message: row.message
+  };
+}
+
+// Closures and special hours that are current or still to come (recurring ones always)
+export async function listExceptions({ from = null } = {}) {
+  let query = supabase
+    .from('store_holidays')
+    .select('*')
+    .order('holiday_date');
+
+  if (from) {
+    // from is written into the filter string, so it must be a plain date
+    if (!isDate(from)) throw new Error('from must be YYYY-MM-DD');
+    query = query.or(`recurs_annually.eq.true,end_date.gte.${from},and(end_date.is.null,holiday_date.gte.${from})`);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return (data || []).map(formatException);
+}
+
+export async function createException(body) {
+  const row = { kind: 'closed', recurs_annually: false, ...toColumns(body) };
+  const errors = validateException(row);
+  if (errors.length > 0) return { invalid: errors };
+
+  const { data, error } = await supabase
+    .from('store_holidays')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { exception: formatException(data) };
+}
+
+export async function updateException(id, body) {
+  const { data: current, error: fetchError } = await supabase
+    .from('store_holidays')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!current) return { notFound: true };
+
+  const changes = toColumns(body);
+  const errors = validateException({ ...current, ...changes });
+  if (errors.length > 0) return { invalid: errors };
+
+  const { data, error } = await supabase
+    .from('store_holidays')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { exception: formatException(data) };
+}
+
+export async function deleteException(id) {
+  const { data, error } = await supabase
+    .from('store_holidays')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0 ? { deleted: true } : { notFound: true };
+}
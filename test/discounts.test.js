@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateDiscounts } from '../src/services/discounts.js';
+
+const lines = [
+  { totalPricePence: 3000, categoryId: 'mains' },
+  { totalPricePence: 1000, categoryId: 'drinks' }
+];
+
+const rule = overrides => ({
+  type: 'percentage',
+  min_amount_pence: 0,
+  discount_value: 10,
+  can_combine: true,
+  applies_to_mode: 'all',
+  category_ids: null,
+  valid_from: null,
+  valid_until: null,
+  ...overrides
+});
+
+const applied = result => result.applied.map(discount => [discount.ruleId, discount.amountPence]);
+
+test('combinable rules stack', () => {
+  const result = evaluateDiscounts({
+    rules: [
+      rule({ id: 'tenth', name: '10% off' }),
+      rule({ id: 'fiver', name: '£5 off', type: 'fixed_amount', discount_value: 5 })
+    ],
+    lines,
+    mode: 'collection'
+  });
+
+  assert.deepEqual(applied(result), [['tenth', 400], ['fiver', 500]]);
+  assert.equal(result.discountPence, 900);
+  assert.deepEqual(result.ineligible, []);
+});
+
+test('a rule that cannot be combined wins alone when it is worth more', () => {
+  const result = evaluateDiscounts({
+    rules: [
+      rule({ id: 'tenth', name: '10% off' }),
+      rule({ id: 'fiver', name: '£5 off', type: 'fixed_amount', discount_value: 5 }),
+      rule({ id: 'quarter', name: '25% off', discount_value: 25, can_combine: false })
+    ],
+    lines,
+    mode: 'collection'
+  });
+
+  assert.deepEqual(applied(result), [['quarter', 1000]]);
+  assert.equal(result.discountPence, 1000);
+  assert.deepEqual(result.ineligible.map(entry => [entry.ruleId, entry.reason]), [
+    ['tenth', 'Cannot be combined with a better offer'],
+    ['fiver', 'Cannot be combined with a better offer']
+  ]);
+});
+
+test('the stacked rules win over a smaller rule that cannot be combined', () => {
+  const result = evaluateDiscounts({
+    rules: [
+      rule({ id: 'solo', name: '15% off', discount_value: 15, can_combine: false }),
+      rule({ id: 'tenth', name: '10% off' }),
+      rule({ id: 'fiver', name: '£5 off', type: 'fixed_amount', discount_value: 5 })
+    ],
+    lines,
+    mode: 'collection'
+  });
+
+  assert.deepEqual(applied(result), [['tenth', 400], ['fiver', 500]]);
+  assert.deepEqual(result.ineligible.map(entry => entry.ruleId), ['solo']);
+});
+
+test('free items count at their menu price when choosing the best offer', () => {
+  const rules = [
+    rule({ id: 'tenth', name: '10% off', can_combine: false }),
+    rule({ id: 'prawn', name: 'Free prawn crackers', type: 'free_item', discount_value: 0, can_combine: false, free_item_id: 'crackers', free_item_name: 'Prawn crackers' })
+  ];
+
+  const unpriced = evaluateDiscounts({ rules, lines, mode: 'collection' });
+  assert.deepEqual(applied(unpriced), [['tenth', 400]]);
+
+  const priced = evaluateDiscounts({ rules, lines, mode: 'collection', freeItemPrices: { crackers: 450 } });
+  assert.deepEqual(applied(priced), [['prawn', 0]]);
+  assert.equal(priced.discountPence, 0);
+  assert.deepEqual(priced.freeItems, [{ ruleId: 'prawn', itemId: 'crackers', name: 'Prawn crackers', qty: 1 }]);
+});
+
+test('rules that do not apply are reported with the reason', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const result = evaluateDiscounts({
+    rules: [
+      rule({ id: 'later', name: 'Summer', valid_from: '2026-07-01T00:00:00Z' }),
+      rule({ id: 'over', name: 'Spring', valid_until: '2026-05-01T00:00:00Z' }),
+      rule({ id: 'drop', name: 'Delivery deal', applies_to_mode: 'delivery' }),
+      rule({ id: 'big', name: 'Big spender', min_amount_pence: 5000 }),
+      rule({ id: 'drinks', name: 'Drinks deal', category_ids: ['drinks'], min_amount_pence: 1500 })
+    ],
+    lines,
+    mode: 'collection',
+    now
+  });
+
+  assert.deepEqual(result.applied, []);
+  assert.deepEqual(result.ineligible.map(entry => [entry.ruleId, entry.reason]), [
+    ['later', 'Not started yet'],
+    ['over', 'Expired'],
+    ['drop', 'Delivery orders only'],
+    ['big', 'Spend £10.00 more'],
+    ['drinks', 'Spend £5.00 more']
+  ]);
+});
+
+test('the discount never exceeds the subtotal', () => {
+  const result = evaluateDiscounts({
+    rules: [
+      rule({ id: 'half', name: 'Half price', discount_value: 50 }),
+      rule({ id: 'thirty', name: '£30 off', type: 'fixed_amount', discount_value: 30 })
+    ],
+    lines,
+    mode: 'collection'
+  });
+
+  assert.equal(result.discountPence, 4000);
+});
@@ -0,0 +1,7 @@
+const CLIENT = new URL('../../src/lib/supabase.js', import.meta.url).href;
+const STAND_IN = new URL('./supabase.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  return resolved.url === CLIENT ? { ...resolved, url: STAND_IN } : resolved;
+}
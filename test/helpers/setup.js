@@ -0,0 +1,5 @@
+// The functions under test never query the database. Swap the Supabase client
+// module for a stand-in so tests run without credentials or a network.
+import { register } from 'node:module';
+
+register('./hooks.js', import.meta.url);
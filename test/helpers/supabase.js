@@ -0,0 +1,8 @@
+// Stand-in for src/lib/supabase.js: any query from a test is a mistake
+export const supabase = new Proxy({}, {
+  get(target, property) {
+    throw new Error(`Tests must not use the database (supabase.${String(property)})`);
+  }
+});
+
+export const storage = {};
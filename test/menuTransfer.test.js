@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV_HEADERS, csvToMenu, menuToCsv, readMenuDocument } from '../src/services/menuTransfer.js';
+
+// Shaped like exportMenu() output, with text that needs quoting in CSV
+const menu = {
+  format: 'site1-menu',
+  version: 1,
+  categories: [
+    {
+      id: 'mains',
+      name: 'Mains, "house" specials',
+      description: 'Served with rice\nor noodles',
+      displayOrder: 0,
+      items: [
+        {
+          id: 'duck-set',
+          name: 'Duck set',
+          description: null,
+          pricePence: 1250,
+          imageUrl: null,
+          available: true,
+          displayOrder: 0,
+          availableDays: [5, 6],
+          availableFrom: '17:00',
+          availableUntil: '22:30',
+          dailyStock: 20,
+          allergens: ['gluten', 'soya'],
+          dietaryTags: [],
+          spicyLevel: 1,
+          calories: 850,
+          options: [
+            {
+              name: 'Main',
+              type: 'radio',
+              required: true,
+              displayOrder: 0,
+              choices: [
+                { name: 'Duck', priceDeltaPence: 200, allergens: [], displayOrder: 0 },
+                { name: 'Tofu', priceDeltaPence: 0, allergens: ['soya'], displayOrder: 1 }
+              ]
+            },
+            {
+              name: 'Sauce',
+              type: 'radio',
+              required: true,
+              displayOrder: 1,
+              choices: [{ name: 'Plum', priceDeltaPence: 0, allergens: [], displayOrder: 0 }]
+            }
+          ],
+          conditionals: [{ parentOption: 'Main', parentChoice: 'Duck', dependentOption: 'Sauce' }]
+        },
+        {
+          id: 'rice',
+          name: 'Egg fried rice',
+          description: null,
+          pricePence: 350,
+          imageUrl: null,
+          available: false,
+          displayOrder: 1,
+          availableDays: null,
+          availableFrom: null,
+          availableUntil: null,
+          dailyStock: null,
+          allergens: ['eggs'],
+          dietaryTags: ['vegetarian'],
+          spicyLevel: 0,
+          calories: null,
+          options: [],
+          conditionals: []
+        }
+      ]
+    },
+    { id: 'specials', name: 'Specials', description: null, displayOrder: 1, items: [] }
+  ]
+};
+
+test('a menu survives a CSV round trip', () => {
+  const csv = menuToCsv(menu);
+  assert.equal(csv.split('\r\n')[0], CSV_HEADERS.join(','));
+
+  const back = readMenuDocument(csvToMenu(csv));
+  assert.deepEqual(back.errors, []);
+  assert.deepEqual(back.menu, readMenuDocument(menu).menu);
+});
+
+test('the CSV keeps quoted text, lists and dependencies', () => {
+  const [mains, specials] = csvToMenu(menuToCsv(menu)).categories;
+  assert.equal(mains.name, 'Mains, "house" specials');
+  assert.equal(mains.description, 'Served with rice\nor noodles');
+  assert.deepEqual(specials.items, []);
+
+  const [duck, rice] = mains.items;
+  assert.deepEqual(duck.availableDays, [5, 6]);
+  assert.deepEqual(duck.allergens, ['gluten', 'soya']);
+  assert.deepEqual(duck.options.map(option => option.choices.map(choice => choice.name)), [['Duck', 'Tofu'], ['Plum']]);
+  assert.deepEqual(duck.conditionals, menu.categories[0].items[0].conditionals);
+  assert.equal(rice.available, false);
+  assert.deepEqual(rice.options, []);
+});
+
+test('conditional loops in an imported menu are rejected', () => {
+  const looped = structuredClone(menu);
+  looped.categories[0].items[0].conditionals.push({ parentOption: 'Sauce', parentChoice: 'Plum', dependentOption: 'Main' });
+
+  assert.deepEqual(readMenuDocument(looped).errors, [
+    "Item duck-set: 'Main' depending on 'Sauce' makes an option depend on itself"
+  ]);
+});
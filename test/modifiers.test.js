@@ -0,0 +1,73 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateModifiers } from '../src/services/modifiers.js';
+
+// Set meal: pick a main; a sauce is only offered (and then required) with the duck
+const itemOptions = {
+  options: [
+    {
+      id: 'main',
+      name: 'Main',
+      type: 'radio',
+      required: true,
+      menu_option_choices: [
+        { id: 'duck', name: 'Duck', price_delta_pence: 200 },
+        { id: 'tofu', name: 'Tofu', price_delta_pence: 0 }
+      ]
+    },
+    {
+      id: 'sauce',
+      name: 'Sauce',
+      type: 'radio',
+      required: true,
+      menu_option_choices: [
+        { id: 'plum', name: 'Plum', price_delta_pence: 0, allergens: ['soya'] },
+        { id: 'hoisin', name: 'Hoisin', price_delta_pence: 50 }
+      ]
+    }
+  ],
+  conditionals: [{ parent_option_id: 'main', parent_choice_id: 'duck', dependent_option_id: 'sauce' }]
+};
+
+const reasons = result => result.errors.map(error => error.reason);
+
+test('a dependent option is required while its parent choice is selected', () => {
+  assert.deepEqual(reasons(validateModifiers(itemOptions, [{ choiceId: 'duck' }])), ['Selection required']);
+
+  const result = validateModifiers(itemOptions, [{ choiceId: 'duck' }, { choiceId: 'plum' }]);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.modifiers.map(modifier => [modifier.optionName, modifier.name, modifier.priceDeltaPence]), [
+    ['Main', 'Duck', 200],
+    ['Sauce', 'Plum', 0]
+  ]);
+  assert.deepEqual(result.modifiers[1].allergens, ['soya']);
+});
+
+test('a dependent option is neither required nor accepted without its parent choice', () => {
+  assert.deepEqual(validateModifiers(itemOptions, [{ choiceId: 'tofu' }]).errors, []);
+  assert.deepEqual(reasons(validateModifiers(itemOptions, [{ choiceId: 'tofu' }, { choiceId: 'plum' }])), [
+    'Only available when Main: Duck is selected'
+  ]);
+});
+
+test('radio, duplicate and foreign choices are refused', () => {
+  assert.deepEqual(reasons(validateModifiers(itemOptions, [{ choiceId: 'duck' }, { choiceId: 'tofu' }])), [
+    'Only one choice allowed',
+    'Selection required'
+  ]);
+  assert.deepEqual(reasons(validateModifiers(itemOptions, [{ choiceId: 'tofu' }, { choiceId: 'tofu' }])), [
+    'Choice selected more than once'
+  ]);
+  assert.deepEqual(reasons(validateModifiers(itemOptions, [{ choiceId: 'tofu' }, { choiceId: 'chips' }])), [
+    'Choice does not belong to this item'
+  ]);
+});
+
+test('older carts that send id instead of choiceId still validate', () => {
+  assert.deepEqual(validateModifiers(itemOptions, [{ id: 'tofu' }]).errors, []);
+});
+
+test('null means no modifiers and anything else that is not a list is an error', () => {
+  assert.deepEqual(reasons(validateModifiers(itemOptions, null)), ['Selection required']);
+  assert.deepEqual(reasons(validateModifiers(itemOptions, { choiceId: 'tofu' })), ['Modifiers must be a list']);
+});
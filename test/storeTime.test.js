@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addDays, businessDate, nextBusinessDayStart, storeClock, zonedTime } from '../src/lib/storeTime.js';
+
+const iso = instant => instant.toISOString();
+
+test('zonedTime follows GMT in winter and BST in summer', () => {
+  assert.equal(iso(zonedTime('2026-01-15', '12:00')), '2026-01-15T12:00:00.000Z');
+  assert.equal(iso(zonedTime('2026-07-15', '12:00')), '2026-07-15T11:00:00.000Z');
+});
+
+test('zonedTime on the day the clocks go forward', () => {
+  assert.equal(iso(zonedTime('2026-03-29', '00:30')), '2026-03-29T00:30:00.000Z');
+  assert.equal(iso(zonedTime('2026-03-29', '04:00')), '2026-03-29T03:00:00.000Z');
+
+  // 01:30 never happens (01:00 jumps to 02:00); it lands an hour later, at 02:30 BST
+  const skipped = zonedTime('2026-03-29', '01:30');
+  assert.equal(iso(skipped), '2026-03-29T01:30:00.000Z');
+  assert.deepEqual(storeClock(skipped), { date: '2026-03-29', time: '02:30', dayOfWeek: 0 });
+});
+
+test('zonedTime on the day the clocks go back', () => {
+  assert.equal(iso(zonedTime('2026-10-25', '00:30')), '2026-10-24T23:30:00.000Z');
+  assert.equal(iso(zonedTime('2026-10-25', '04:00')), '2026-10-25T04:00:00.000Z');
+
+  // 01:30 happens twice; the second time (GMT) is used
+  const repeated = zonedTime('2026-10-25', '01:30');
+  assert.equal(iso(repeated), '2026-10-25T01:30:00.000Z');
+  assert.equal(storeClock(repeated).time, '01:30');
+});
+
+test('trading days roll over at the reset time across clock changes', () => {
+  assert.equal(businessDate(new Date('2026-03-29T02:30:00Z')), '2026-03-28');
+  assert.equal(businessDate(new Date('2026-03-29T03:00:00Z')), '2026-03-29');
+  assert.equal(iso(nextBusinessDayStart(new Date('2026-03-28T23:30:00Z'))), '2026-03-29T03:00:00.000Z');
+  assert.equal(iso(nextBusinessDayStart(new Date('2026-10-25T00:30:00Z'))), '2026-10-25T04:00:00.000Z');
+});
+
+test('addDays crosses month and year ends', () => {
+  assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+});
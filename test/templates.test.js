@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHtml, renderTemplate } from '../src/lib/templates.js';
+
+const note = `<script>alert("Tom & Jerry's")</script>`;
+
+test('escapeHtml escapes every character that matters in HTML', () => {
+  assert.equal(escapeHtml(note), '&lt;script&gt;alert(&quot;Tom &amp; Jerry&#39;s&quot;)&lt;/script&gt;');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('double braces escape and triple braces do not', () => {
+  assert.equal(renderTemplate('<p>{{note}}</p>', { note }), `<p>${escapeHtml(note)}</p>`);
+  assert.equal(renderTemplate('<p>{{{note}}}</p>', { note }), `<p>${note}</p>`);
+});
+
+test('plain-text rendering leaves values alone', () => {
+  assert.equal(renderTemplate('Order for {{name}}', { name: 'Fish & Chips <Ltd>' }, { escape: false }), 'Order for Fish & Chips <Ltd>');
+});
+
+test('values inside sections and dotted names are escaped too', () => {
+  const template = '{{store.name}}:{{#items}} [{{.}}]{{/items}}{{#customer}} {{name}}{{/customer}}';
+  const data = { store: { name: 'A&B' }, items: ['<b>', '"x"'], customer: { name: "O'Neil" } };
+  assert.equal(renderTemplate(template, data), 'A&amp;B: [&lt;b&gt;] [&quot;x&quot;] O&#39;Neil');
+});
+
+test('missing values render as nothing and inverted sections render when empty', () => {
+  assert.equal(renderTemplate('[{{missing}}]{{^items}}none{{/items}}', { items: [] }), '[]none');
+  assert.equal(renderTemplate('{{^items}}none{{/items}}', { items: ['x'] }), '');
+});
+
+test('standalone section tags do not leave blank lines', () => {
+  const template = 'Items:\n{{#items}}\n- {{name}}\n{{/items}}\nThanks';
+  assert.equal(renderTemplate(template, { items: [{ name: 'Rice' }, { name: 'Soup' }] }), 'Items:\n- Rice\n- Soup\nThanks');
+});
+
+test('mismatched and unclosed sections are rejected', () => {
+  assert.throws(() => renderTemplate('{{#a}}x{{/b}}', {}), /does not match an open section/);
+  assert.throws(() => renderTemplate('{{#a}}x', {}), /is not closed/);
+});